@@ -10,4 +10,9 @@ module.exports = {
   globals: {
     shopify: "readonly"
   },
+  // Tests run with vitest, whose API matches Jest's, so the Jest rules need telling
+  // which version to check against
+  settings: {
+    jest: { version: 29 },
+  },
 };
@@ -4,9 +4,21 @@ import { RemixServer } from "@remix-run/react";
 import { createReadableStreamFromReadable } from "@remix-run/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
+import { startScheduler } from "./scheduler.server";
+import { startWorker } from "./worker.server";
 
 export const streamTimeout = 5000;
 
+// Register automatic repricing for shops that have it turned on
+startScheduler().catch((error) => {
+  console.error("Failed to start the repricing scheduler:", error);
+});
+
+// Process queued price runs in the background
+startWorker().catch((error) => {
+  console.error("Failed to start the price run worker:", error);
+});
+
 export default async function handleRequest(
   request,
   responseStatusCode,
@@ -0,0 +1,75 @@
+// A wrapper around admin.graphql that stays within Shopify's GraphQL cost limits.
+// Every Admin API response reports the query's cost and how many points the shop
+// has left; when a query used more than what is left, the next call waits for the
+// bucket to refill. Calls that are still throttled, or hit a 5xx, are retried with
+// backoff instead of failing the product they were writing.
+
+const MAX_ATTEMPTS = 5;
+const BASE_BACKOFF_MS = 1000;
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// "mutation productVariantsBulkUpdate(...)" -> "productVariantsBulkUpdate"
+const operationName = (query) =>
+  query.match(/\b(?:query|mutation)\s+(\w+)/)?.[1] || "GraphQL request";
+
+// Milliseconds until the bucket has `requested` points again, or null if the cost is unknown
+const refillDelay = (cost) => {
+  if (!cost?.throttleStatus) return null;
+  const { currentlyAvailable, restoreRate } = cost.throttleStatus;
+  const needed = cost.requestedQueryCost - currentlyAvailable;
+  return needed > 0 ? Math.ceil((needed / restoreRate) * 1000) : 0;
+};
+
+// GraphqlQueryError carries the response body; HTTP errors carry the status code
+const isThrottled = (error) =>
+  error.response?.code === 429 ||
+  Boolean(
+    error.body?.errors?.graphQLErrors?.some((e) => e.extensions?.code === "THROTTLED")
+  );
+const isServerError = (error) => error.response?.code >= 500;
+
+/**
+ * Wrap an Admin API context so its `graphql` calls are paced by the shop's cost budget
+ * and retried when throttled or when Shopify returns a 5xx.
+ * @param {object} admin The Admin API context from authenticate.admin() or unauthenticated.admin()
+ * @param {object} [options]
+ * @param {Function} [options.log] Called with a line describing each retry, e.g. to add it to a run's log
+ * @returns {object} The same context with a throttle-aware `graphql`
+ */
+export function createGraphqlClient(admin, { log = () => {} } = {}) {
+  let nextCallAt = 0;
+
+  const graphql = async (query, options) => {
+    for (let attempt = 1; ; attempt++) {
+      const delay = nextCallAt - Date.now();
+      if (delay > 0) await wait(delay);
+
+      try {
+        const response = await admin.graphql(query, options);
+
+        const { extensions } = await response.clone().json();
+        const refill = refillDelay(extensions?.cost);
+        if (refill) nextCallAt = Date.now() + refill;
+
+        return response;
+      } catch (error) {
+        // Anything other than throttling or a server error is not worth retrying;
+        // a Response here is an auth redirect from authenticate.admin()
+        const retryable =
+          !(error instanceof Response) && (isThrottled(error) || isServerError(error));
+        if (!retryable || attempt >= MAX_ATTEMPTS) throw error;
+
+        const backoff =
+          refillDelay(error.body?.extensions?.cost) || BASE_BACKOFF_MS * 2 ** (attempt - 1);
+        nextCallAt = Date.now() + backoff;
+        log(
+          `${operationName(query)} ${isThrottled(error) ? "was throttled" : `failed (${error.response.code})`}, ` +
+            `retrying in ${(backoff / 1000).toFixed(1)}s (attempt ${attempt + 1} of ${MAX_ATTEMPTS})`
+        );
+      }
+    }
+  };
+
+  return { ...admin, graphql };
+}
@@ -0,0 +1,76 @@
+import db from "../db.server";
+import { DISCOUNT_TYPES } from "../pricing/discounts";
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Load the shop's discount rules, including ones that have not started or have ended.
+ * @param {string} shop The myshopify.com domain
+ * @returns {Promise<Array<{ name: string, type: string, value: number, startsOn: string|null, endsOn: string|null }>>}
+ */
+export async function getDiscountRules(shop) {
+  const rules = await db.discountRule.findMany({
+    where: { shop },
+    orderBy: { id: "asc" },
+  });
+
+  return rules.map(({ name, type, value, startsOn, endsOn }) => ({
+    name,
+    type,
+    value,
+    startsOn,
+    endsOn,
+  }));
+}
+
+export function normaliseDiscountRules(rules) {
+  return rules.map((rule) => ({
+    name: String(rule.name || "").trim(),
+    type: String(rule.type || ""),
+    value: parseFloat(rule.value),
+    startsOn: rule.startsOn ? String(rule.startsOn) : null,
+    endsOn: rule.endsOn ? String(rule.endsOn) : null,
+  }));
+}
+
+/**
+ * Returns a map of field name to error message, or null when the rules are valid.
+ */
+export function validateDiscountRules(rules) {
+  const errors = {};
+
+  for (const rule of rules) {
+    if (!rule.name) {
+      errors.discounts = "Discounts need a name";
+    } else if (!DISCOUNT_TYPES[rule.type]) {
+      errors.discounts = `${rule.name}: unknown discount type`;
+    } else if (isNaN(rule.value) || rule.value <= 0) {
+      errors.discounts = `${rule.name}: the discount must be greater than zero`;
+    } else if (rule.type !== "flat" && rule.value > 100) {
+      errors.discounts = `${rule.name}: a percentage discount cannot be more than 100%`;
+    } else if (
+      [rule.startsOn, rule.endsOn].some((date) => date && !DATE_PATTERN.test(date))
+    ) {
+      errors.discounts = `${rule.name}: dates must be YYYY-MM-DD`;
+    } else if (rule.startsOn && rule.endsOn && rule.endsOn < rule.startsOn) {
+      errors.discounts = `${rule.name}: the end date is before the start date`;
+    }
+    if (errors.discounts) break;
+  }
+
+  if (Object.keys(errors).length) {
+    return errors;
+  }
+
+  return null;
+}
+
+/**
+ * Replace the shop's discount rules.
+ */
+export async function saveDiscountRules(shop, rules) {
+  return db.$transaction([
+    db.discountRule.deleteMany({ where: { shop } }),
+    ...rules.map((rule) => db.discountRule.create({ data: { shop, ...rule } })),
+  ]);
+}
@@ -0,0 +1,187 @@
+import db from "../db.server";
+import { METALS } from "../pricing/metals";
+import { getMetafieldValue } from "../pricing/metafields";
+
+// Defaults used until a shop saves its own purity table and colours. Multipliers
+// apply to the rate of the pure metal.
+export const DEFAULT_KARATS = [
+  { metal: "gold", key: "24k", multiplier: 1 },
+  { metal: "gold", key: "22k", multiplier: 0.925 },
+  { metal: "gold", key: "18k", multiplier: 0.76 },
+  { metal: "gold", key: "14k", multiplier: 0.6 },
+  { metal: "gold", key: "9k", multiplier: 0.385 },
+  { metal: "silver", key: "925", multiplier: 0.925 },
+  { metal: "platinum", key: "950", multiplier: 0.95 },
+];
+
+// Words in a variant title that say what it is made of
+export const DEFAULT_COLOURS = [
+  { metal: "gold", name: "yellow gold" },
+  { metal: "gold", name: "rose gold" },
+  { metal: "gold", name: "white gold" },
+  { metal: "silver", name: "silver" },
+  { metal: "platinum", name: "platinum" },
+];
+
+/**
+ * Load the purity table and recognised colour words for a shop, each row tagged
+ * with its metal. Either list falls back to the defaults when the shop has no rows saved.
+ * @param {string} shop The myshopify.com domain
+ */
+export async function getMetalRules(shop) {
+  const [karats, colours] = await Promise.all([
+    db.karatPurity.findMany({ where: { shop }, orderBy: { id: "asc" } }),
+    db.metalColour.findMany({ where: { shop }, orderBy: { id: "asc" } }),
+  ]);
+
+  return {
+    karats: karats.length
+      ? karats.map(({ metal, key, multiplier }) => ({ metal, key, multiplier }))
+      : DEFAULT_KARATS.map((karat) => ({ ...karat })),
+    colours: colours.length
+      ? colours.map(({ metal, name }) => ({ metal, name }))
+      : DEFAULT_COLOURS.map((colour) => ({ ...colour })),
+  };
+}
+
+/**
+ * Normalise the rules so they can be matched against lower-cased variant titles.
+ */
+export function normaliseMetalRules({ karats, colours }) {
+  return {
+    karats: karats.map((karat) => ({
+      metal: String(karat.metal || "gold"),
+      key: String(karat.key || "").trim().toLowerCase(),
+      multiplier: parseFloat(karat.multiplier),
+    })),
+    colours: colours.map((colour) => ({
+      metal: String(colour.metal || "gold"),
+      name: String(colour.name || "").trim().toLowerCase(),
+    })),
+  };
+}
+
+/**
+ * Returns a map of field name to error message, or null when the rules are valid.
+ */
+export function validateMetalRules({ karats, colours }) {
+  const errors = {};
+  const karatKeys = karats.map((karat) => `${karat.metal}:${karat.key}`);
+  const colourNames = colours.map((colour) => colour.name);
+
+  if (!karats.length) {
+    errors.karats = "At least one karat is required";
+  } else if ([...karats, ...colours].some((rule) => !METALS[rule.metal])) {
+    errors.karats = "Unknown metal";
+  } else if (karats.some((karat) => !karat.key)) {
+    errors.karats = "Every karat needs a key, e.g. 18k";
+  } else if (new Set(karatKeys).size !== karatKeys.length) {
+    errors.karats = "Karat keys must be unique for each metal";
+  } else if (karats.some(({ multiplier }) => isNaN(multiplier) || multiplier <= 0)) {
+    errors.karats = "Karat multipliers must be greater than zero";
+  }
+
+  if (!colours.length) {
+    errors.colours = "At least one colour is required";
+  } else if (colourNames.some((name) => !name)) {
+    errors.colours = "Colours cannot be blank";
+  } else if (new Set(colourNames).size !== colourNames.length) {
+    errors.colours = "Colours must be unique";
+  }
+
+  if (Object.keys(errors).length) {
+    return errors;
+  }
+
+  return null;
+}
+
+/**
+ * Replace the shop's purity table and colour list with the given rules.
+ */
+export async function saveMetalRules(shop, { karats, colours }) {
+  return db.$transaction([
+    db.karatPurity.deleteMany({ where: { shop } }),
+    db.metalColour.deleteMany({ where: { shop } }),
+    ...karats.map(({ metal, key, multiplier }) =>
+      db.karatPurity.create({ data: { shop, metal, key, multiplier } })
+    ),
+    ...colours.map(({ metal, name }) => db.metalColour.create({ data: { shop, metal, name } })),
+  ]);
+}
+
+/**
+ * Find the karat whose key appears in the variant title. Longer keys win so
+ * that e.g. "950" is preferred over "50".
+ */
+export function findKarat(karats, title) {
+  const titleLower = (title || "").toLowerCase();
+
+  return karats
+    .filter((karat) => titleLower.includes(karat.key))
+    .sort((a, b) => b.key.length - a.key.length)[0];
+}
+
+const longestColour = (colours, text) =>
+  colours
+    .filter(({ name }) => text.includes(name))
+    .sort((a, b) => b.name.length - a.name.length)[0];
+
+/**
+ * The value of a mapped attribute: the first mapped option or metafield the variant
+ * has a value for.
+ */
+function readMappedAttribute(variant, mapping, attribute) {
+  for (const rule of mapping.filter((rule) => rule.attribute === attribute)) {
+    const name = rule.name.toLowerCase();
+    const value =
+      rule.source === "option"
+        ? (variant.selectedOptions || []).find((option) => option.name.toLowerCase() === name)
+            ?.value
+        : getMetafieldValue(variant.metafields?.edges, rule.name);
+    if (value) return String(value).trim().toLowerCase();
+  }
+  return null;
+}
+
+/**
+ * Work out what a variant is made of. Mapped options and metafields are read first;
+ * whatever they do not give is parsed from the title, where the longest colour word
+ * gives the metal. The karat is looked up in that metal's purity table.
+ * @param {{ karats: Array<object>, colours: Array<object> }} rules From getMetalRules()
+ * @param {Array<object>} mapping From getAttributeMapping()
+ * @param {object} variant A variant node with `title`, `selectedOptions` and `metafields` edges
+ * @returns {{ metal: string, colour: string|null, karat: object }|{ reason: string }}
+ *   The variant's attributes, or why it could not be classified
+ */
+export function classifyVariant({ karats, colours }, mapping, variant) {
+  const titleLower = (variant.title || "").toLowerCase();
+  const mappedMetal = readMappedAttribute(variant, mapping, "metal");
+  const mappedKarat = readMappedAttribute(variant, mapping, "karat");
+  const mappedColour = readMappedAttribute(variant, mapping, "colour");
+
+  const colour =
+    (mappedColour && longestColour(colours, mappedColour)) || longestColour(colours, titleLower);
+
+  const metal = Object.keys(METALS).find((key) => mappedMetal?.includes(key)) || colour?.metal;
+  if (!metal) {
+    return {
+      reason: mappedMetal
+        ? `Unknown metal "${mappedMetal}"`
+        : "No metal mapped and no recognised colour in the title",
+    };
+  }
+
+  const metalKarats = karats.filter((rule) => rule.metal === metal);
+  const karat =
+    (mappedKarat && findKarat(metalKarats, mappedKarat)) || findKarat(metalKarats, titleLower);
+  if (!karat) {
+    return {
+      reason: mappedKarat
+        ? `No ${metal} karat matches "${mappedKarat}"`
+        : `No ${metal} karat mapped or in the title`,
+    };
+  }
+
+  return { metal, colour: mappedColour || colour?.name || null, karat };
+}
@@ -0,0 +1,63 @@
+import db from "../db.server";
+
+/**
+ * Load the shop's locks and fixed prices.
+ * @param {string} shop The myshopify.com domain
+ * @returns {Promise<Array<{ productId: string, variantId: string|null, locked: boolean, fixedPrice: number|null }>>}
+ *   `variantId` is null for an override on the whole product
+ */
+export async function getPriceOverrides(shop) {
+  const overrides = await db.priceOverride.findMany({
+    where: { shop },
+    orderBy: { id: "asc" },
+  });
+
+  return overrides.map(({ productId, variantId, locked, fixedPrice }) => ({
+    productId,
+    variantId: variantId || null,
+    locked,
+    fixedPrice,
+  }));
+}
+
+/**
+ * Returns a map of field name to error message, or null when the override is valid.
+ */
+export function validatePriceOverride({ productId, variantId, fixedPrice }) {
+  const errors = {};
+
+  if (!productId) {
+    errors.productId = "A product is required";
+  }
+  if (fixedPrice !== null) {
+    if (!variantId) {
+      errors.fixedPrice = "Fixed prices are set per variant";
+    } else if (isNaN(fixedPrice) || fixedPrice <= 0) {
+      errors.fixedPrice = "Fixed price must be greater than zero";
+    }
+  }
+
+  if (Object.keys(errors).length) {
+    return errors;
+  }
+
+  return null;
+}
+
+/**
+ * Set or clear the lock and fixed price of a product or variant. An override with
+ * neither is deleted.
+ */
+export async function savePriceOverride(shop, { productId, variantId, locked, fixedPrice }) {
+  const key = { shop, productId, variantId: variantId || "" };
+
+  if (!locked && fixedPrice === null) {
+    return db.priceOverride.deleteMany({ where: key });
+  }
+
+  return db.priceOverride.upsert({
+    where: { shop_productId_variantId: key },
+    update: { locked, fixedPrice },
+    create: { ...key, locked, fixedPrice },
+  });
+}
@@ -0,0 +1,281 @@
+import db from "../db.server";
+
+const parseJson = (value, fallback) => {
+  if (!value) return fallback;
+  try {
+    return JSON.parse(value);
+  } catch (e) {
+    return fallback;
+  }
+};
+
+const toPriceRun = (run) => ({
+  ...run,
+  inputs: parseJson(run.inputs, {}),
+  errors: parseJson(run.errors, []),
+  logs: parseJson(run.logs, []),
+});
+
+/**
+ * Describe who is behind an admin request, for the run ledger. Offline sessions
+ * carry no user details, so fall back to the staff ID from the session token.
+ */
+export function describeUser(session, sessionToken) {
+  const name = [session.firstName, session.lastName].filter(Boolean).join(" ");
+  if (name || session.email) {
+    return [name, session.email && `<${session.email}>`].filter(Boolean).join(" ");
+  }
+
+  return sessionToken?.sub ? `Staff ${sessionToken.sub}` : "Unknown user";
+}
+
+/**
+ * Open a ledger entry for a run and queue it for the background worker.
+ * @param {string} shop The myshopify.com domain
+ * @param {object} run `{ triggeredBy, goldRate, makingCharges, inputs, rateSnapshotId, logs }`;
+ *   `inputs` also tells the worker which products and variants to write, and the worker's
+ *   logs follow any `logs` recorded while queueing
+ */
+export async function enqueuePriceRun(
+  shop,
+  { triggeredBy, goldRate, makingCharges, inputs, rateSnapshotId, logs = [] }
+) {
+  return db.priceRun.create({
+    data: {
+      shop,
+      triggeredBy,
+      status: "queued",
+      goldRate,
+      makingCharges,
+      inputs: JSON.stringify(inputs),
+      rateSnapshotId,
+      logs: JSON.stringify(logs),
+    },
+  });
+}
+
+/**
+ * Take the oldest queued run and mark it running. Returns null when the queue is empty
+ * or another worker claimed the run first.
+ */
+export async function claimNextPriceRun() {
+  const next = await db.priceRun.findFirst({
+    where: { status: "queued" },
+    orderBy: { startedAt: "asc" },
+    include: { rateSnapshot: true },
+  });
+  if (!next) return null;
+
+  const { count } = await db.priceRun.updateMany({
+    where: { id: next.id, status: "queued" },
+    data: { status: "running", startedAt: new Date() },
+  });
+  return count ? toPriceRun({ ...next, status: "running" }) : null;
+}
+
+/**
+ * Mark runs left "running" by a stopped process as failed; some of their prices
+ * may have been written, so they are not retried.
+ */
+export async function failInterruptedPriceRuns() {
+  return db.priceRun.updateMany({
+    where: { status: "running" },
+    data: {
+      status: "failed",
+      errors: JSON.stringify(["The app stopped before this run finished"]),
+      errorCount: 1,
+      finishedAt: new Date(),
+    },
+  });
+}
+
+/**
+ * Record how far a running job has got.
+ * @param {number} id PriceRun ID
+ * @param {object} progress Any of `{ totalCount, processedCount, failedCount }`
+ */
+export async function updatePriceRunProgress(id, progress) {
+  return db.priceRun.update({ where: { id }, data: progress });
+}
+
+/**
+ * Processed/failed/remaining counts for the progress endpoint, or null if the run
+ * belongs to another shop.
+ */
+export async function getPriceRunProgress(shop, id) {
+  const run = await db.priceRun.findFirst({
+    where: { id, shop },
+    select: {
+      id: true,
+      status: true,
+      totalCount: true,
+      processedCount: true,
+      failedCount: true,
+      cancelRequested: true,
+      errors: true,
+      finishedAt: true,
+    },
+  });
+  if (!run) return null;
+
+  return {
+    ...run,
+    errors: parseJson(run.errors, []),
+    remainingCount:
+      run.totalCount === null ? null : Math.max(run.totalCount - run.processedCount, 0),
+  };
+}
+
+/**
+ * Ask for a run to stop. A queued run is cancelled straight away; a running one
+ * stops at the worker's next progress check.
+ * @returns {Promise<boolean>} Whether the run could still be cancelled
+ */
+export async function requestPriceRunCancel(shop, id) {
+  const queued = await db.priceRun.updateMany({
+    where: { id, shop, status: "queued" },
+    data: { status: "cancelled", finishedAt: new Date() },
+  });
+  if (queued.count) return true;
+
+  const running = await db.priceRun.updateMany({
+    where: { id, shop, status: "running" },
+    data: { cancelRequested: true },
+  });
+  return running.count > 0;
+}
+
+export async function isPriceRunCancelRequested(id) {
+  const run = await db.priceRun.findUnique({
+    where: { id },
+    select: { cancelRequested: true },
+  });
+  return Boolean(run?.cancelRequested);
+}
+
+/**
+ * Close a ledger entry with what the run changed.
+ */
+export async function finishPriceRun(
+  id,
+  {
+    productsChanged,
+    variantsChanged,
+    errors,
+    logs,
+    cancelled = false,
+    previousAppliedRate,
+    previousAppliedAt,
+  }
+) {
+  return db.priceRun.update({
+    where: { id },
+    data: {
+      status: cancelled ? "cancelled" : errors.length ? "failed" : "success",
+      previousAppliedRate,
+      previousAppliedAt,
+      productsChanged,
+      variantsChanged,
+      errorCount: errors.length,
+      errors: JSON.stringify(errors),
+      logs: JSON.stringify(logs),
+      finishedAt: new Date(),
+    },
+  });
+}
+
+/**
+ * Most recent runs for the ledger page. Debug logs are left out to keep the list light.
+ */
+export async function getPriceRuns(shop, { take = 50 } = {}) {
+  const runs = await db.priceRun.findMany({
+    where: { shop },
+    orderBy: { startedAt: "desc" },
+    select: {
+      id: true,
+      triggeredBy: true,
+      status: true,
+      goldRate: true,
+      makingCharges: true,
+      inputs: true,
+      productsChanged: true,
+      variantsChanged: true,
+      errorCount: true,
+      errors: true,
+      startedAt: true,
+      finishedAt: true,
+      revertedAt: true,
+      revertedBy: true,
+      rateSnapshot: true,
+    },
+    take,
+  });
+
+  return runs.map(toPriceRun);
+}
+
+/**
+ * Store the before/after prices of every variant a run wrote.
+ */
+export async function recordPriceRunChanges(runId, changes) {
+  if (!changes.length) return;
+
+  await db.priceRunChange.createMany({
+    data: changes.map((change) => ({ runId, ...change })),
+  });
+}
+
+/**
+ * A single run with its logs and per-variant changes, or null if it belongs to another shop.
+ */
+export async function getPriceRun(shop, id) {
+  const run = await db.priceRun.findFirst({
+    where: { id, shop },
+    include: { rateSnapshot: true, changes: { orderBy: { id: "asc" } } },
+  });
+
+  return run ? toPriceRun(run) : null;
+}
+
+export async function markPriceRunReverted(id, revertedBy) {
+  return db.priceRun.update({
+    where: { id },
+    data: { revertedAt: new Date(), revertedBy },
+  });
+}
+
+/**
+ * Add lines to the log of a finished run, e.g. GraphQL retries while reverting it.
+ */
+export async function appendPriceRunLogs(id, lines) {
+  if (lines.length === 0) return;
+
+  const run = await db.priceRun.findUnique({ where: { id }, select: { logs: true } });
+  await db.priceRun.update({
+    where: { id },
+    data: { logs: JSON.stringify([...parseJson(run?.logs, []), ...lines]) },
+  });
+}
+
+/**
+ * Log a run that was considered but did not write anything, e.g. because the
+ * rate had not moved past the shop's threshold. `logs` follow the reason in its logs.
+ */
+export async function recordSkippedRun(
+  shop,
+  { triggeredBy, goldRate, makingCharges, inputs, rateSnapshotId, reason, logs = [] }
+) {
+  return db.priceRun.create({
+    data: {
+      shop,
+      triggeredBy,
+      status: "skipped",
+      goldRate,
+      makingCharges,
+      inputs: JSON.stringify(inputs),
+      rateSnapshotId,
+      logs: JSON.stringify([reason, ...logs]),
+      finishedAt: new Date(),
+    },
+  });
+}
@@ -0,0 +1,273 @@
+import cron from "node-cron";
+import db from "../db.server";
+import { DEFAULT_FORMULA, FORMULA_COMPONENTS } from "../pricing/formula";
+import { DEFAULT_TAX_RATES } from "../pricing/tax";
+import { DEFAULT_ROUNDING, normaliseRounding } from "../pricing/rounding";
+
+// Column defaults, matching prisma/schema.prisma
+const DEFAULT_CONFIG = {
+  goldRate: 10500,
+  silverRate: 95,
+  platinumRate: 3200,
+  makingCharges: 1500,
+  rateMarkupPercent: 5,
+  scheduleEnabled: false,
+  scheduleCron: "30 10 * * *",
+  scheduleTimezone: "Asia/Kolkata",
+  taxEnabled: false,
+  taxInclusive: true,
+  skipFlaggedVariants: false,
+  stoneRatesSaved: false,
+  thresholdEnabled: false,
+  thresholdPercent: null,
+  thresholdAmount: null,
+  lastAppliedRate: null,
+  lastAppliedAt: null,
+  manualRateUpdatedAt: null,
+  updatedAt: null,
+};
+
+const parseFormula = (value) => {
+  if (value) {
+    try {
+      // Tax and rounding steps saved before GST and rounding had their own settings
+      // are dropped, so they are not applied twice
+      const parsed = JSON.parse(value);
+      if (Array.isArray(parsed) && parsed.length) {
+        return parsed.filter((component) => FORMULA_COMPONENTS[component.type]);
+      }
+    } catch (e) {
+      // Corrupt JSON falls back to the default formula
+    }
+  }
+  return DEFAULT_FORMULA.map((component) => ({ ...component }));
+};
+
+const parseTaxRates = (value) => {
+  if (value) {
+    try {
+      const parsed = JSON.parse(value);
+      if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+        return { ...DEFAULT_TAX_RATES, ...parsed };
+      }
+    } catch (e) {
+      // Corrupt JSON falls back to the default rates
+    }
+  }
+  return { ...DEFAULT_TAX_RATES };
+};
+
+const parseRounding = (value) => {
+  if (value) {
+    try {
+      const parsed = JSON.parse(value);
+      if (parsed && typeof parsed === "object" && !Array.isArray(parsed)) {
+        return normaliseRounding(parsed);
+      }
+    } catch (e) {
+      // Corrupt JSON falls back to no rounding
+    }
+  }
+  return normaliseRounding(DEFAULT_ROUNDING);
+};
+
+/**
+ * Load the saved pricing configuration for a shop, or the defaults if the
+ * shop has never saved one.
+ * @param {string} shop The myshopify.com domain
+ */
+export async function getPricingConfig(shop) {
+  const config = await db.pricingConfig.findUnique({ where: { shop } });
+
+  if (!config) {
+    return {
+      ...DEFAULT_CONFIG,
+      formula: parseFormula(null),
+      taxRates: parseTaxRates(null),
+      rounding: parseRounding(null),
+    };
+  }
+
+  const { id, shop: _shop, createdAt, ...fields } = config;
+  return {
+    ...fields,
+    formula: parseFormula(config.formula),
+    taxRates: parseTaxRates(config.taxRates),
+    rounding: parseRounding(config.rounding),
+  };
+}
+
+/**
+ * The GST settings passed to the price calculation, or null when GST is off.
+ * @param {object} config From getPricingConfig()
+ */
+export function getTaxSettings(config) {
+  if (!config.taxEnabled) return null;
+
+  return { enabled: true, inclusive: config.taxInclusive, rates: config.taxRates };
+}
+
+/**
+ * Returns a map of field name to error message, or null when the data is valid.
+ */
+export function validatePricingConfig({
+  goldRate,
+  silverRate,
+  platinumRate,
+  makingCharges,
+}) {
+  const errors = {};
+
+  if (isNaN(goldRate) || goldRate <= 0) {
+    errors.goldRate = "Gold rate must be greater than zero";
+  }
+
+  if (isNaN(silverRate) || silverRate <= 0) {
+    errors.silverRate = "Silver rate must be greater than zero";
+  }
+
+  if (isNaN(platinumRate) || platinumRate <= 0) {
+    errors.platinumRate = "Platinum rate must be greater than zero";
+  }
+
+  if (isNaN(makingCharges) || makingCharges < 0) {
+    errors.makingCharges = "Making charges cannot be negative";
+  }
+
+  if (Object.keys(errors).length) {
+    return errors;
+  }
+
+  return null;
+}
+
+export async function savePricingConfig(
+  shop,
+  { goldRate, silverRate, platinumRate, makingCharges }
+) {
+  // Only a changed rate counts as entering it, so the manual provider's rate time does
+  // not move when the same rates are saved again with a run
+  const current = await db.pricingConfig.findUnique({ where: { shop } });
+  const rateChanged =
+    !current ||
+    current.goldRate !== goldRate ||
+    current.silverRate !== silverRate ||
+    current.platinumRate !== platinumRate;
+
+  return updatePricingConfig(shop, {
+    goldRate,
+    silverRate,
+    platinumRate,
+    makingCharges,
+    ...(rateChanged && { manualRateUpdatedAt: new Date() }),
+  });
+}
+
+/**
+ * Update some of a shop's config columns, creating the row with defaults if needed.
+ * @param {string} shop The myshopify.com domain
+ * @param {object} data Column values to write, already serialised
+ */
+export async function updatePricingConfig(shop, data) {
+  return db.pricingConfig.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+}
+
+export function validateRateMarkup(rateMarkupPercent) {
+  if (isNaN(rateMarkupPercent) || rateMarkupPercent < 0 || rateMarkupPercent > 100) {
+    return { rateMarkupPercent: "Rate markup must be between 0 and 100%" };
+  }
+
+  return null;
+}
+
+export function validateSchedule({ scheduleCron, scheduleTimezone }) {
+  const errors = {};
+
+  if (!cron.validate(scheduleCron)) {
+    errors.scheduleCron = "Schedule must be a valid cron expression, e.g. 30 10 * * *";
+  }
+
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone: scheduleTimezone });
+  } catch (e) {
+    errors.scheduleTimezone = "Time zone must be an IANA name, e.g. Asia/Kolkata";
+  }
+
+  if (Object.keys(errors).length) {
+    return errors;
+  }
+
+  return null;
+}
+
+/**
+ * Shops with automatic repricing turned on.
+ */
+export async function getScheduledConfigs() {
+  return db.pricingConfig.findMany({
+    where: { scheduleEnabled: true },
+    select: { shop: true, scheduleCron: true, scheduleTimezone: true },
+  });
+}
+
+/**
+ * Returns a map of field name to error message, or null when the thresholds are valid.
+ */
+export function validateThreshold({ thresholdEnabled, thresholdPercent, thresholdAmount }) {
+  const errors = {};
+
+  if (thresholdPercent !== null && (isNaN(thresholdPercent) || thresholdPercent <= 0)) {
+    errors.thresholdPercent = "Threshold percentage must be greater than zero";
+  }
+  if (thresholdAmount !== null && (isNaN(thresholdAmount) || thresholdAmount <= 0)) {
+    errors.thresholdAmount = "Threshold amount must be greater than zero";
+  }
+  if (thresholdEnabled && thresholdPercent === null && thresholdAmount === null) {
+    errors.thresholdEnabled = "Set a threshold percentage or amount";
+  }
+
+  if (Object.keys(errors).length) {
+    return errors;
+  }
+
+  return null;
+}
+
+/**
+ * Remember the rate of a run that wrote prices, for threshold comparisons.
+ * @returns {Promise<{ previousAppliedRate: number|null, previousAppliedAt: Date|null }>}
+ *   The rate it replaces, for restoreAppliedRate()
+ */
+export async function recordAppliedRate(shop, goldRate) {
+  const current = await db.pricingConfig.findUnique({ where: { shop } });
+  await updatePricingConfig(shop, { lastAppliedRate: goldRate, lastAppliedAt: new Date() });
+
+  return {
+    previousAppliedRate: current?.lastAppliedRate ?? null,
+    previousAppliedAt: current?.lastAppliedAt ?? null,
+  };
+}
+
+/**
+ * Put back the applied rate from before a run once it is reverted, so the threshold
+ * compares against prices still in the shop. Nothing changes if a later run has applied
+ * its own rate since.
+ * @param {string} shop The myshopify.com domain
+ * @param {object} run The reverted PriceRun
+ */
+export async function restoreAppliedRate(shop, run) {
+  const config = await db.pricingConfig.findUnique({ where: { shop } });
+  const appliedAt = config?.lastAppliedAt;
+  if (!appliedAt || appliedAt < run.startedAt || (run.finishedAt && appliedAt > run.finishedAt)) {
+    return;
+  }
+
+  await updatePricingConfig(shop, {
+    lastAppliedRate: run.previousAppliedRate,
+    lastAppliedAt: run.previousAppliedAt,
+  });
+}
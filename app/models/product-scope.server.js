@@ -0,0 +1,65 @@
+import db from "../db.server";
+import { SCOPE_FIELDS } from "../pricing/scope-fields";
+
+/**
+ * Load the shop's product scope rules. No rules means every active product is repriced.
+ * @param {string} shop The myshopify.com domain
+ * @returns {Promise<Array<{ field: string, value: string, collectionId: string|null, exclude: boolean }>>}
+ */
+export async function getScopeRules(shop) {
+  const rules = await db.productScopeRule.findMany({
+    where: { shop },
+    orderBy: { id: "asc" },
+  });
+
+  return rules.map(({ field, value, collectionId, exclude }) => ({
+    field,
+    value,
+    collectionId,
+    exclude,
+  }));
+}
+
+export function normaliseScopeRules(rules) {
+  return rules.map((rule) => ({
+    field: String(rule.field || ""),
+    value: String(rule.value || "").trim(),
+    collectionId: rule.collectionId || null,
+    exclude: rule.exclude === true || rule.exclude === "true",
+  }));
+}
+
+/**
+ * Returns a map of field name to error message, or null when the rules are valid.
+ * Collection rules must also have been matched to a collection by resolveScopeCollections().
+ */
+export function validateScopeRules(rules) {
+  const errors = {};
+
+  if (rules.some((rule) => !SCOPE_FIELDS[rule.field])) {
+    errors.scope = "Scope rules must match a collection, tag, vendor or product type";
+  } else if (rules.some((rule) => !rule.value)) {
+    errors.scope = "Scope rules need a value";
+  } else {
+    const missing = rules.find((rule) => rule.field === "collection" && !rule.collectionId);
+    if (missing) {
+      errors.scope = `No collection named "${missing.value}"`;
+    }
+  }
+
+  if (Object.keys(errors).length) {
+    return errors;
+  }
+
+  return null;
+}
+
+/**
+ * Replace the shop's scope rules.
+ */
+export async function saveScopeRules(shop, rules) {
+  return db.$transaction([
+    db.productScopeRule.deleteMany({ where: { shop } }),
+    ...rules.map((rule) => db.productScopeRule.create({ data: { shop, ...rule } })),
+  ]);
+}
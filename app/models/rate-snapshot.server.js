@@ -0,0 +1,59 @@
+import db from "../db.server";
+
+/**
+ * Record a rate returned by fetchMetalRate(). Repeated fetches of the same quote
+ * (same metal, source, rate and timestamp) reuse the latest snapshot.
+ * @param {string} shop The myshopify.com domain
+ * @param {object} metalRate The result of fetchMetalRate()
+ */
+export async function recordRateSnapshot(
+  shop,
+  { metal = "gold", rate, marketRate, markupPercent, source, fetchedAt }
+) {
+  const latest = await db.rateSnapshot.findFirst({
+    where: { shop, metal, source },
+    orderBy: { createdAt: "desc" },
+  });
+
+  if (
+    latest &&
+    latest.rate === rate &&
+    latest.fetchedAt.getTime() === new Date(fetchedAt).getTime()
+  ) {
+    return latest;
+  }
+
+  return db.rateSnapshot.create({
+    data: {
+      shop,
+      metal,
+      rate,
+      marketRate,
+      markupPercent,
+      source,
+      fetchedAt: new Date(fetchedAt),
+    },
+  });
+}
+
+/**
+ * Find the snapshot a run's rate came from. The most recent provider snapshot
+ * from the last day is used when its rate matches to the paisa; anything else
+ * is recorded as a manually entered rate.
+ */
+export async function resolveRateSnapshot(shop, goldRate) {
+  const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+  const recent = await db.rateSnapshot.findMany({
+    where: { shop, metal: "gold", createdAt: { gte: since } },
+    orderBy: { createdAt: "desc" },
+  });
+
+  const match = recent.find((snapshot) => snapshot.rate.toFixed(2) === goldRate.toFixed(2));
+  if (match) {
+    return match;
+  }
+
+  return db.rateSnapshot.create({
+    data: { shop, rate: goldRate, source: "manual", fetchedAt: new Date() },
+  });
+}
@@ -0,0 +1,80 @@
+import db from "../db.server";
+
+// Used until a shop saves its own rate table. Rates are per carat.
+export const DEFAULT_STONE_RATES = [
+  { type: "Round Solitaire 5ct+", clarity: "", colour: "", rate: 30000 },
+  { type: "Round Solitaire 3ct+", clarity: "", colour: "", rate: 30000 },
+  { type: "Round Solitaire 2ct+", clarity: "", colour: "", rate: 30000 },
+  { type: "Round Solitaire 0.50ct+", clarity: "", colour: "", rate: 30000 },
+  { type: "Fancy Solitaire 5ct+", clarity: "", colour: "", rate: 30000 },
+  { type: "Fancy Solitaire 3ct+", clarity: "", colour: "", rate: 30000 },
+  { type: "Fancy Solitaire 2ct+", clarity: "", colour: "", rate: 30000 },
+  { type: "Fancy Solitaire 0.5ct+", clarity: "", colour: "", rate: 30000 },
+  { type: "Small Diamonds", clarity: "", colour: "", rate: 20000 },
+  { type: "Gemstones", clarity: "", colour: "", rate: 15000 },
+];
+
+/**
+ * Load the shop's diamond and gemstone rate table, or the defaults until it saves one.
+ * A table saved with every row removed stays empty.
+ * @param {string} shop The myshopify.com domain
+ * @returns {Promise<Array<{ type: string, clarity: string, colour: string, rate: number }>>}
+ */
+export async function getStoneRates(shop) {
+  const [rows, config] = await Promise.all([
+    db.stoneRate.findMany({ where: { shop }, orderBy: { id: "asc" } }),
+    db.pricingConfig.findUnique({ where: { shop }, select: { stoneRatesSaved: true } }),
+  ]);
+
+  if (!rows.length && !config?.stoneRatesSaved) {
+    return DEFAULT_STONE_RATES.map((row) => ({ ...row }));
+  }
+
+  return rows.map(({ type, clarity, colour, rate }) => ({ type, clarity, colour, rate }));
+}
+
+export function normaliseStoneRates(rows) {
+  return rows.map((row) => ({
+    type: String(row.type || "").trim(),
+    clarity: String(row.clarity || "").trim(),
+    colour: String(row.colour || "").trim(),
+    rate: parseFloat(row.rate),
+  }));
+}
+
+/**
+ * Returns a map of field name to error message, or null when the table is valid.
+ */
+export function validateStoneRates(rows) {
+  const errors = {};
+  const keys = rows.map((row) => [row.type, row.clarity, row.colour].join("|").toLowerCase());
+
+  if (rows.some((row) => !row.type)) {
+    errors.stoneRates = "Every stone rate needs a type, e.g. Small Diamonds";
+  } else if (rows.some((row) => isNaN(row.rate) || row.rate < 0)) {
+    errors.stoneRates = "Stone rates cannot be negative";
+  } else if (new Set(keys).size !== keys.length) {
+    errors.stoneRates = "Each type, clarity and colour can only have one rate";
+  }
+
+  if (Object.keys(errors).length) {
+    return errors;
+  }
+
+  return null;
+}
+
+/**
+ * Replace the shop's rate table, and stop using the defaults for it from now on.
+ */
+export async function saveStoneRates(shop, rows) {
+  return db.$transaction([
+    db.stoneRate.deleteMany({ where: { shop } }),
+    ...rows.map((row) => db.stoneRate.create({ data: { shop, ...row } })),
+    db.pricingConfig.upsert({
+      where: { shop },
+      create: { shop, stoneRatesSaved: true },
+      update: { stoneRatesSaved: true },
+    }),
+  ]);
+}
@@ -0,0 +1,59 @@
+import db from "../db.server";
+import { ATTRIBUTE_SOURCES, VARIANT_ATTRIBUTES } from "../pricing/attribute-fields";
+
+/**
+ * Load where the shop keeps each variant attribute, in the order they are tried.
+ * No rules means variants are classified from their titles alone.
+ * @param {string} shop The myshopify.com domain
+ * @returns {Promise<Array<{ attribute: string, source: string, name: string }>>}
+ */
+export async function getAttributeMapping(shop) {
+  const rules = await db.variantAttributeRule.findMany({
+    where: { shop },
+    orderBy: { id: "asc" },
+  });
+
+  return rules.map(({ attribute, source, name }) => ({ attribute, source, name }));
+}
+
+export function normaliseAttributeMapping(rules) {
+  return rules.map((rule) => ({
+    attribute: String(rule.attribute || ""),
+    source: String(rule.source || ""),
+    name: String(rule.name || "").trim(),
+  }));
+}
+
+/**
+ * Returns a map of field name to error message, or null when the mapping is valid.
+ */
+export function validateAttributeMapping(rules) {
+  const errors = {};
+  const keys = rules.map((rule) => `${rule.attribute}:${rule.source}:${rule.name.toLowerCase()}`);
+
+  if (rules.some((rule) => !VARIANT_ATTRIBUTES[rule.attribute])) {
+    errors.mapping = "Mappings must be for the metal, karat or colour";
+  } else if (rules.some((rule) => !ATTRIBUTE_SOURCES[rule.source])) {
+    errors.mapping = "Mappings must read a variant option or metafield";
+  } else if (rules.some((rule) => !rule.name)) {
+    errors.mapping = "Mappings need an option name or metafield key";
+  } else if (new Set(keys).size !== keys.length) {
+    errors.mapping = "The same option or metafield is mapped twice";
+  }
+
+  if (Object.keys(errors).length) {
+    return errors;
+  }
+
+  return null;
+}
+
+/**
+ * Replace the shop's attribute mapping.
+ */
+export async function saveAttributeMapping(shop, rules) {
+  return db.$transaction([
+    db.variantAttributeRule.deleteMany({ where: { shop } }),
+    ...rules.map((rule) => db.variantAttributeRule.create({ data: { shop, ...rule } })),
+  ]);
+}
@@ -0,0 +1,12 @@
+// What a variant is made of, and where a shop keeps it on its variants, with the
+// labels shown on the variant attributes page
+export const VARIANT_ATTRIBUTES = {
+  metal: "Metal",
+  karat: "Karat",
+  colour: "Colour",
+};
+
+export const ATTRIBUTE_SOURCES = {
+  option: "Variant option",
+  metafield: "Variant metafield (custom)",
+};
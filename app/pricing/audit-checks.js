@@ -0,0 +1,14 @@
+// The problems the catalogue audit looks for, with the labels shown on the audit page
+export const AUDIT_CHECKS = {
+  weight: "Missing or zero weight",
+  wastage: "Unreadable wastage",
+  stones: "Unknown stone type",
+  classification: "Unclassifiable variant",
+};
+
+// Product statuses the audit can cover; drafts are worth checking before they go live
+export const AUDIT_STATUSES = {
+  ACTIVE: "Active",
+  DRAFT: "Draft",
+  ARCHIVED: "Archived",
+};
@@ -0,0 +1,90 @@
+import { classifyVariant } from "../models/metal-rules.server";
+import { getMetafieldValue, parseNumericMetafieldValue } from "./metafields";
+import { describeStone, priceStones, readStones, stoneMetafields } from "./stones";
+
+/**
+ * Find the data problems that would make a variant's calculated price wrong: a weight
+ * that is missing, zero or not a number, a wastage percentage that cannot be read, stones
+ * with no rate in the rate table, and a metal or karat that cannot be worked out.
+ * @param {object} product A product node as returned by fetchCatalogue()
+ * @param {object} variant One of its variant nodes
+ * @param {object} context `{ karats, colours, attributeMapping, stoneRates }` as passed
+ *   to calculateProductPrices()
+ * @returns {Array<{ check: string, message: string }>} Empty when nothing is wrong
+ */
+export function auditVariant(
+  product,
+  variant,
+  { karats, colours, attributeMapping = [], stoneRates }
+) {
+  const issues = [];
+  const variantMetafields = variant.metafields.edges;
+
+  const weight = parseNumericMetafieldValue(variantMetafields, "weight");
+  if (weight === null) {
+    issues.push({ check: "weight", message: "No weight" });
+  } else if (isNaN(weight)) {
+    issues.push({
+      check: "weight",
+      message: `Weight "${getMetafieldValue(variantMetafields, "weight")}" is not a number`,
+    });
+  } else if (weight <= 0) {
+    issues.push({ check: "weight", message: "Weight is zero" });
+  }
+
+  const wastage = parseNumericMetafieldValue(variantMetafields, "wastage_percentage");
+  if (wastage !== null && (isNaN(wastage) || wastage < 0)) {
+    issues.push({
+      check: "wastage",
+      message: `Wastage "${getMetafieldValue(variantMetafields, "wastage_percentage")}" is not a percentage`,
+    });
+  }
+
+  // The variant's own stones override its product's, as in calculateProductPrices()
+  const productMetafields = product.metafields.edges;
+  const { stones, error } = readStones(stoneMetafields(variantMetafields, productMetafields));
+  if (error) {
+    issues.push({ check: "stones", message: error });
+  }
+  for (const stone of priceStones(stones, stoneRates).misses) {
+    issues.push({ check: "stones", message: `No stone rate for "${describeStone(stone)}"` });
+  }
+
+  const classified = classifyVariant({ karats, colours }, attributeMapping, variant);
+  if (classified.reason) {
+    issues.push({ check: "classification", message: classified.reason });
+  }
+
+  return issues;
+}
+
+/**
+ * Audit every variant of the given products.
+ * @param {Array<object>} products Product nodes as returned by fetchCatalogue()
+ * @param {object} context As taken by auditVariant()
+ * @returns {{ checked: number, flagged: Array<object> }} The number of variants checked
+ *   and a row for each flagged one, with its issues
+ */
+export function auditCatalogue(products, context) {
+  let checked = 0;
+  const flagged = [];
+
+  for (const product of products) {
+    for (const { node: variant } of product.variants.edges) {
+      checked++;
+      const issues = auditVariant(product, variant, context);
+      if (issues.length) {
+        flagged.push({
+          productId: product.id,
+          productTitle: product.title,
+          productStatus: product.status,
+          variantId: variant.id,
+          variantTitle: variant.title,
+          issues,
+        });
+      }
+    }
+  }
+
+  return { checked, flagged };
+}
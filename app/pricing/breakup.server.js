@@ -0,0 +1,109 @@
+// The "custom.price_breakup" variant metafield: everything that went into a variant's
+// price, for the storefront to show as a breakup table. Amounts are strings with two
+// decimals, like the other metafields the app writes.
+
+import { describeStone } from "./stones";
+
+export const PRICE_BREAKUP_KEY = "price_breakup";
+
+const amount = (value) => value.toFixed(2);
+
+/**
+ * The breakup of one calculated variant.
+ * @param {object} variant A variant from calculateProductPrices(), after overrides
+ * @param {object} context
+ * @param {object} context.metalRates Pure metal rates per gram used, keyed by metal
+ * @param {Date|string} context.rateAt When the rates were fetched or entered
+ * @returns {object}
+ */
+export function buildPriceBreakup(variant, { metalRates, rateAt }) {
+  return {
+    metal: variant.metal,
+    rate: amount(metalRates[variant.metal]),
+    rateAt: new Date(rateAt).toISOString(),
+    karat: variant.karat,
+    metalRate: amount(variant.metalRate),
+    netWeight: variant.weight,
+    lines: variant.breakup.map((line) => ({
+      type: line.type,
+      label: line.label,
+      amount: amount(line.amount),
+    })),
+    diamonds: variant.diamonds.map((diamond) => ({
+      label: describeStone(diamond),
+      type: diamond.type,
+      clarity: diamond.clarity,
+      colour: diamond.colour,
+      count: diamond.count,
+      weight: diamond.carat,
+      rate: amount(diamond.rate),
+      value: amount(diamond.value),
+    })),
+    discounts: variant.discounts.map((discount) => ({
+      name: discount.name,
+      amount: amount(discount.amount),
+    })),
+    tax: variant.tax && {
+      inclusive: variant.tax.inclusive,
+      components: variant.tax.components.map((component) => ({
+        label: component.label,
+        rate: component.rate,
+        tax: amount(component.tax),
+      })),
+      total: amount(variant.tax.total),
+    },
+    // Lines, less discounts, plus GST when included, plus this come to the price
+    rounding: variant.unroundedPrice
+      ? amount(parseFloat(variant.price) - parseFloat(variant.unroundedPrice))
+      : "0.00",
+    price: variant.price,
+    compareAtPrice: variant.compareAtPrice,
+    // A shop-set price replaces the calculated one; the lines above are for reference
+    fixedPrice: variant.fixedPrice === true,
+  };
+}
+
+/**
+ * Create the metafield definition for the breakup so it shows in the admin and the
+ * storefront can read it. Runs after every authentication, so an existing definition
+ * is not an error.
+ * @param {object} admin The Admin API context
+ */
+export async function createPriceBreakupDefinition(admin) {
+  const response = await admin.graphql(
+    `#graphql
+      mutation createPriceBreakupDefinition($definition: MetafieldDefinitionInput!) {
+        metafieldDefinitionCreate(definition: $definition) {
+          createdDefinition {
+            id
+          }
+          userErrors {
+            code
+            message
+          }
+        }
+      }
+    `,
+    {
+      variables: {
+        definition: {
+          name: "Price breakup",
+          namespace: "custom",
+          key: PRICE_BREAKUP_KEY,
+          description: "Metal, making, diamonds, tax and final price, written by each price run",
+          type: "json",
+          ownerType: "PRODUCTVARIANT",
+          access: { storefront: "PUBLIC_READ" },
+        },
+      },
+    }
+  );
+  const { data } = await response.json();
+
+  const errors = data.metafieldDefinitionCreate.userErrors.filter(
+    (error) => error.code !== "TAKEN"
+  );
+  if (errors.length) {
+    throw new Error(errors.map((error) => error.message).join(", "));
+  }
+}
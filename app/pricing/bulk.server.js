@@ -0,0 +1,333 @@
+// Helpers for Shopify Bulk Operations: catalogue reads with bulkOperationRunQuery
+// and price writes with bulkOperationRunMutation, both polled until they finish.
+
+const POLL_INTERVAL_MS = 2000;
+const TERMINAL_STATUSES = ["COMPLETED", "FAILED", "CANCELED", "EXPIRED"];
+
+// Shopify runs one bulk query per shop at a time, so a read started while another is
+// running (a price run's catalogue read, the audit, a preview) waits this long for it
+const BULK_QUERY_WAIT_MS = 60 * 1000;
+
+const BULK_QUERY_BUSY_MESSAGE =
+  "Another product read is running for this shop. Try again when it has finished.";
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const bulkOperationError = (operation) =>
+  new Error(
+    `Bulk operation ${operation.status.toLowerCase()}${operation.errorCode ? ` (${operation.errorCode})` : ""}`
+  );
+
+const throwOnUserErrors = (userErrors, context) => {
+  if (userErrors && userErrors.length > 0) {
+    throw new Error(`${context}: ${userErrors.map((e) => e.message).join(", ")}`);
+  }
+};
+
+/**
+ * Download a bulk operation's JSONL result and parse each line.
+ * @param {string|null} url The operation's `url`, null when it returned no objects
+ * @returns {Promise<Array<object>>}
+ */
+async function downloadJsonl(url) {
+  if (!url) return [];
+
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Could not download bulk operation results (${response.status})`);
+  }
+
+  const text = await response.text();
+  return text
+    .split("\n")
+    .filter((line) => line.trim())
+    .map((line) => JSON.parse(line));
+}
+
+/**
+ * Wait for a bulk operation to finish, reporting progress along the way.
+ * @param {object} admin The Admin API context
+ * @param {string} id BulkOperation GID
+ * @param {Function} [onProgress] Called with the operation each time it is polled
+ * @returns {Promise<object>} The BulkOperation once it has completed, failed or been cancelled
+ */
+export async function pollBulkOperation(admin, id, onProgress) {
+  for (;;) {
+    const response = await admin.graphql(
+      `#graphql
+        query bulkOperation($id: ID!) {
+          node(id: $id) {
+            ... on BulkOperation {
+              id
+              type
+              status
+              errorCode
+              objectCount
+              url
+              partialDataUrl
+            }
+          }
+        }
+      `,
+      { variables: { id } }
+    );
+    const { data, errors } = await response.json();
+    const operation = data?.node;
+    if (!operation) {
+      throw new Error(
+        `Could not read bulk operation ${id}${errors?.length ? `: ${errors.map((e) => e.message).join(", ")}` : ""}`
+      );
+    }
+
+    if (onProgress) await onProgress(operation);
+
+    if (TERMINAL_STATUSES.includes(operation.status)) {
+      return operation;
+    }
+
+    await wait(POLL_INTERVAL_MS);
+  }
+}
+
+// The shop's bulk query if one is still running
+async function getRunningBulkQuery(admin) {
+  const response = await admin.graphql(
+    `#graphql
+      query runningBulkQuery {
+        currentBulkOperation(type: QUERY) {
+          id
+          status
+        }
+      }
+    `
+  );
+  const { data } = await response.json();
+  const operation = data?.currentBulkOperation;
+  return operation && !TERMINAL_STATUSES.includes(operation.status) ? operation : null;
+}
+
+/**
+ * Run a bulk query and return every object in its JSONL output. Nested connection
+ * nodes come back as separate objects with a `__parentId`. If the shop already has a
+ * bulk query running, waits for it to finish first.
+ * @param {object} admin The Admin API context
+ * @param {string} query A query with a single top-level connection
+ * @param {object} [options]
+ * @param {Function} [options.onProgress] See pollBulkOperation()
+ * @param {number} [options.maxWaitMs] How long to wait for a running bulk query before
+ *   giving up
+ */
+export async function runBulkQuery(
+  admin,
+  query,
+  { onProgress, maxWaitMs = BULK_QUERY_WAIT_MS } = {}
+) {
+  const giveUpAt = Date.now() + maxWaitMs;
+  let started;
+
+  while (!started) {
+    while (await getRunningBulkQuery(admin)) {
+      if (Date.now() >= giveUpAt) throw new Error(BULK_QUERY_BUSY_MESSAGE);
+      await wait(POLL_INTERVAL_MS);
+    }
+
+    const response = await admin.graphql(
+      `#graphql
+        mutation bulkOperationRunQuery($query: String!) {
+          bulkOperationRunQuery(query: $query) {
+            bulkOperation {
+              id
+              status
+            }
+            userErrors {
+              field
+              message
+            }
+          }
+        }
+      `,
+      { variables: { query } }
+    );
+    const { data } = await response.json();
+    const { bulkOperation, userErrors } = data.bulkOperationRunQuery;
+
+    if (!userErrors?.length) {
+      started = bulkOperation;
+    } else if (!(await getRunningBulkQuery(admin))) {
+      throwOnUserErrors(userErrors, "Could not start bulk query");
+    }
+    // Otherwise another read started between the check and this one; wait for it too
+  }
+
+  const operation = await pollBulkOperation(admin, started.id, onProgress);
+  if (operation.status !== "COMPLETED") throw bulkOperationError(operation);
+
+  return downloadJsonl(operation.url);
+}
+
+/**
+ * Upload the variables for a bulk mutation as a JSONL file.
+ * @returns {Promise<string>} The staged upload path to pass to bulkOperationRunMutation
+ */
+async function stageMutationVariables(admin, variablesList) {
+  const response = await admin.graphql(
+    `#graphql
+      mutation stagedUploadsCreate($input: [StagedUploadInput!]!) {
+        stagedUploadsCreate(input: $input) {
+          stagedTargets {
+            url
+            resourceUrl
+            parameters {
+              name
+              value
+            }
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `,
+    {
+      variables: {
+        input: [
+          {
+            resource: "BULK_MUTATION_VARIABLES",
+            filename: "bulk_op_vars.jsonl",
+            mimeType: "text/jsonl",
+            httpMethod: "POST",
+          },
+        ],
+      },
+    }
+  );
+  const { data } = await response.json();
+  throwOnUserErrors(data.stagedUploadsCreate.userErrors, "Could not stage bulk mutation");
+
+  const [target] = data.stagedUploadsCreate.stagedTargets;
+  const form = new FormData();
+  for (const { name, value } of target.parameters) {
+    form.append(name, value);
+  }
+  form.append(
+    "file",
+    new Blob([variablesList.map((variables) => JSON.stringify(variables)).join("\n")], {
+      type: "text/jsonl",
+    }),
+    "bulk_op_vars.jsonl"
+  );
+
+  const upload = await fetch(target.url, { method: "POST", body: form });
+  if (!upload.ok) {
+    throw new Error(`Could not upload bulk mutation variables (${upload.status})`);
+  }
+
+  return target.parameters.find((parameter) => parameter.name === "key").value;
+}
+
+/**
+ * Run `mutation` once per entry of `variablesList` as a single bulk operation. If the
+ * operation is cancelled part-way, only the calls that ran have a result.
+ * @param {object} admin The Admin API context
+ * @param {string} mutation A mutation document taking the variables in each entry
+ * @param {Array<object>} variablesList One set of variables per mutation call
+ * @param {Function} [onProgress] See pollBulkOperation()
+ * @returns {Promise<Array<object|undefined>>} Each call's `data`, in the same order as `variablesList`
+ */
+export async function runBulkMutation(admin, mutation, variablesList, onProgress) {
+  if (variablesList.length === 0) return [];
+
+  const stagedUploadPath = await stageMutationVariables(admin, variablesList);
+
+  const response = await admin.graphql(
+    `#graphql
+      mutation bulkOperationRunMutation($mutation: String!, $stagedUploadPath: String!) {
+        bulkOperationRunMutation(mutation: $mutation, stagedUploadPath: $stagedUploadPath) {
+          bulkOperation {
+            id
+            status
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `,
+    { variables: { mutation, stagedUploadPath } }
+  );
+  const { data } = await response.json();
+  throwOnUserErrors(data.bulkOperationRunMutation.userErrors, "Could not start bulk mutation");
+
+  const operation = await pollBulkOperation(
+    admin,
+    data.bulkOperationRunMutation.bulkOperation.id,
+    onProgress
+  );
+  if (operation.status !== "COMPLETED" && operation.status !== "CANCELED") {
+    throw bulkOperationError(operation);
+  }
+
+  // Result lines are not guaranteed to be in input order, so index them by line number
+  const results = new Array(variablesList.length);
+  for (const line of await downloadJsonl(operation.url || operation.partialDataUrl)) {
+    results[line.__lineNumber] = line.data;
+  }
+  return results;
+}
+
+/**
+ * Ask Shopify to stop a running bulk operation. Polling then ends with status CANCELED.
+ * @param {object} admin The Admin API context
+ * @param {string} id BulkOperation GID
+ */
+export async function cancelBulkOperation(admin, id) {
+  const response = await admin.graphql(
+    `#graphql
+      mutation bulkOperationCancel($id: ID!) {
+        bulkOperationCancel(id: $id) {
+          bulkOperation {
+            id
+            status
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }
+    `,
+    { variables: { id } }
+  );
+  const { data } = await response.json();
+  throwOnUserErrors(data.bulkOperationCancel.userErrors, "Could not cancel bulk operation");
+}
+
+/**
+ * The shop's latest bulk query and bulk mutation, for progress display.
+ */
+export async function getCurrentBulkOperations(admin) {
+  const response = await admin.graphql(
+    `#graphql
+      query currentBulkOperations {
+        query: currentBulkOperation(type: QUERY) {
+          id
+          status
+          objectCount
+          createdAt
+          completedAt
+        }
+        mutation: currentBulkOperation(type: MUTATION) {
+          id
+          status
+          objectCount
+          createdAt
+          completedAt
+        }
+      }
+    `
+  );
+  const { data } = await response.json();
+  return data;
+}
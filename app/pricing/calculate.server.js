@@ -0,0 +1,222 @@
+import { classifyVariant } from "../models/metal-rules.server";
+import { auditVariant } from "./audit.server";
+import { DEFAULT_FORMULA, evaluateFormula } from "./formula";
+import { getNumericMetafieldValue } from "./metafields";
+import {
+  describeStone,
+  hasStones,
+  priceStones,
+  readStones,
+  stoneRatesFromPrices,
+} from "./stones";
+import {
+  DEFAULT_ROUNDING,
+  applyRounding,
+  describeRoundingRule,
+  findRoundingRule,
+} from "./rounding";
+import { totalWithTax } from "./tax";
+import { applyDiscounts, isDiscountActive, todayIn } from "./discounts";
+
+/**
+ * The price from a formula breakup: GST per component, added when prices include it,
+ * less any flat discount, then rounded.
+ */
+function priceFromLines(lines, flatDiscount, taxSettings, roundingRule) {
+  const { tax, total } = totalWithTax(lines, taxSettings);
+  const unrounded = Math.max(total - flatDiscount, 0);
+
+  return { tax, unrounded, rounded: applyRounding(unrounded, roundingRule) };
+}
+
+/**
+ * Work out the new price of every recognised variant of a product.
+ * Nothing is written to Shopify; the caller decides whether to apply the result.
+ * @param {object} product A product node with `metafields` and `variants` edges
+ * @param {object} rates `{ goldRate, metalRates, makingCharges, stoneRates, karats, colours,
+ *   attributeMapping, formula, tax, rounding, discounts, timeZone, skipFlaggedVariants }`. `metalRates` has the
+ *   silver and platinum rates per gram; `stoneRates` is the shop's diamond and gemstone
+ *   rate table; `attributeMapping` says which variant options and metafields hold the
+ *   metal, karat and colour; `tax` is `{ enabled, inclusive, rates }` or absent for no
+ *   tax; `rounding` is the shop's rounding settings or absent to round to the paisa;
+ *   `discounts` are the shop's discount rules, of which those active today in `timeZone` apply;
+ *   with `skipFlaggedVariants` set, variants the catalogue audit flags are not priced
+ * @param {Array<string>} debugLogs Log lines are appended here
+ * @returns {{ variants: Array<object> }} Each variant's `diamonds` has its stone lines, from
+ *   its own metafields or else its product's, with their rates per carat and values;
+ *   lines without a rate are priced at zero and logged
+ */
+export function calculateProductPrices(product, rates, debugLogs) {
+  const { goldRate, makingCharges, karats, colours, attributeMapping = [] } = rates;
+  // Runs queued before the rate table had clarity and colour carry a map of type to rate
+  const stoneRates = rates.stoneRates || stoneRatesFromPrices(rates.diamondPrices || {});
+  // Pure metal rates per gram; gold's is the rate the run was started with
+  const metalRates = { ...rates.metalRates, gold: goldRate };
+  const formula = rates.formula || DEFAULT_FORMULA;
+  const taxSettings = rates.tax?.enabled ? rates.tax : null;
+  const roundingRule = findRoundingRule(product, rates.rounding || DEFAULT_ROUNDING);
+  const today = todayIn(rates.timeZone || "UTC");
+  const discounts = (rates.discounts || []).filter((discount) =>
+    isDiscountActive(discount, today)
+  );
+  const metafields = product.metafields.edges;
+
+  // Price each diamond and gemstone line at the shop's rate for it, then the total
+  const priceOwnStones = (edges, owner) => {
+    const { stones, error } = readStones(edges);
+    if (error) {
+      debugLogs.push(`${owner}: ${error}; its stones are not priced`);
+    }
+    const priced = priceStones(stones, stoneRates);
+    for (const stone of priced.misses) {
+      debugLogs.push(`${owner}: no stone rate for "${describeStone(stone)}"`);
+    }
+    return priced;
+  };
+  const productStones = priceOwnStones(metafields, `Product "${product.title}"`);
+  debugLogs.push(`Product: ${product.title} — totalDiamondPrice: ${productStones.total}`);
+
+  // Process variants whose metal and karat can be told from their options, metafields
+  // or title, and whose metal has a rate
+  const variants = product.variants.edges
+    .map((edge) => ({
+      edge,
+      detected: classifyVariant({ karats, colours }, attributeMapping, edge.node),
+    }))
+    .filter(({ edge, detected }) => {
+      if (detected.reason) {
+        debugLogs.push(`Variant "${edge.node.title}": skipped, ${detected.reason}`);
+        return false;
+      }
+      if (!(metalRates[detected.metal] > 0)) {
+        debugLogs.push(`Variant "${edge.node.title}": skipped, no ${detected.metal} rate`);
+        return false;
+      }
+      if (!rates.skipFlaggedVariants) return true;
+
+      // The shop has chosen not to price variants with bad data, rather than price a
+      // missing weight or stone at zero
+      const issues = auditVariant(product, edge.node, {
+        karats,
+        colours,
+        attributeMapping,
+        stoneRates,
+      });
+      if (!issues.length) return true;
+      debugLogs.push(
+        `Variant "${edge.node.title}": skipped, flagged by the catalogue audit: ${issues
+          .map((issue) => issue.message)
+          .join("; ")}`
+      );
+      return false;
+    })
+    .map(({ edge, detected: { metal, karat } }) => {
+      let variantLog = `Variant: "${edge.node.title}" | Metal: ${metal} ${karat.key}`;
+
+      // Variants with stone metafields of their own override the product's
+      const variantMetafields = edge.node.metafields.edges;
+      const ownStones = hasStones(variantMetafields);
+      const { lines: diamonds, total: diamondPrice } = ownStones
+        ? priceOwnStones(variantMetafields, `Variant "${edge.node.title}"`)
+        : productStones;
+      if (ownStones) {
+        variantLog += ` | Own stones: ${diamondPrice.toFixed(2)}`;
+      }
+
+      // Retrieve the variant's "gold weight" from its metafields
+      const weight = getNumericMetafieldValue(variantMetafields, "weight");
+      if (!weight) {
+        variantLog += " | Warning: weight is missing or zero";
+      } else {
+        variantLog += ` | Weight: ${weight}`;
+      }
+
+      // New: check for wastage_percentage metafield (variant-level)
+      const wastagePercent = getNumericMetafieldValue(variantMetafields, "wastage_percentage");
+
+      // Apply the shop's formula to the rate for this metal and karat
+      const metalRate = metalRates[metal] * karat.multiplier;
+      const { lines } = evaluateFormula(formula, {
+        metalRate,
+        weight,
+        makingCharges,
+        wastagePercent,
+        diamondValue: diamondPrice,
+      });
+      variantLog += lines.map((line) => ` | ${line.label}: ${line.amount.toFixed(2)}`).join("");
+
+      // Without discounts the price is also the compare-at price; with them the
+      // compare-at price is the undiscounted price
+      const full = priceFromLines(lines, 0, taxSettings, roundingRule);
+      const discounted = discounts.length ? applyDiscounts(lines, discounts) : null;
+      const { tax, unrounded: unroundedPrice, rounded: updatedPrice } = discounted
+        ? priceFromLines(discounted.lines, discounted.flat, taxSettings, roundingRule)
+        : full;
+      if (discounted) {
+        variantLog += discounted.applied
+          .map((discount) => ` | ${discount.name}: -${discount.amount.toFixed(2)}`)
+          .join("");
+      }
+      if (tax) {
+        variantLog += ` | GST: ${tax.total.toFixed(2)} (${taxSettings.inclusive ? "included" : "not included"})`;
+      }
+
+      // The unrounded value is kept for previews and logs
+      if (roundingRule.strategy !== "none") {
+        variantLog += ` | Unrounded: ${unroundedPrice.toFixed(2)} (rounded ${describeRoundingRule(roundingRule)})`;
+      }
+
+      const compareAtPrice = full.rounded;
+      variantLog += ` | Final: ${updatedPrice.toFixed(2)} | CompareAtPrice: ${compareAtPrice.toFixed(2)}`;
+      debugLogs.push(variantLog);
+
+      return {
+        id: edge.node.id,
+        title: edge.node.title,
+        previousPrice: edge.node.price,
+        previousCompareAtPrice: edge.node.compareAtPrice,
+        price: String(updatedPrice.toFixed(2)),
+        unroundedPrice: unroundedPrice.toFixed(2),
+        compareAtPrice: String(compareAtPrice.toFixed(2)),
+        metal,
+        karat: karat.key,
+        metalRate,
+        weight,
+        diamonds,
+        diamondPrice,
+        breakup: lines,
+        discounts: discounted ? discounted.applied : [],
+        tax: tax && { inclusive: taxSettings.inclusive, ...tax },
+      };
+    });
+
+  if (variants.length === 0) {
+    debugLogs.push(`No recognized variants for product "${product.title}".`);
+  }
+
+  return { variants };
+}
+
+/**
+ * Flatten calculated prices into the rows shown in the preview table.
+ */
+export function toPreviewRows(product, variants) {
+  return variants.map((variant) => {
+    const oldPrice = parseFloat(variant.previousPrice);
+    const newPrice = parseFloat(variant.price);
+
+    return {
+      id: variant.id,
+      productId: product.id,
+      productTitle: product.title,
+      variantTitle: variant.title,
+      oldPrice: variant.previousPrice,
+      newPrice: variant.price,
+      unroundedPrice: variant.unroundedPrice ?? null,
+      oldCompareAtPrice: variant.previousCompareAtPrice,
+      newCompareAtPrice: variant.compareAtPrice,
+      tax: variant.tax ? variant.tax.total.toFixed(2) : null,
+      changePercent: oldPrice > 0 ? ((newPrice - oldPrice) / oldPrice) * 100 : null,
+    };
+  });
+}
@@ -0,0 +1,303 @@
+import { runBulkQuery } from "./bulk.server";
+import { buildScopeQuery } from "./scope.server";
+
+// Bulk queries ignore page sizes, so every product, variant and metafield is returned
+const catalogueQuery = (search) => `#graphql
+  {
+    products(query: ${JSON.stringify(search)}) {
+      edges {
+        node {
+          id
+          title
+          status
+          handle
+          tags
+          vendor
+          productType
+          collections {
+            edges {
+              node {
+                id
+              }
+            }
+          }
+          metafields(namespace: "custom") {
+            edges {
+              node {
+                id
+                namespace
+                key
+                value
+              }
+            }
+          }
+          variants {
+            edges {
+              node {
+                id
+                title
+                price
+                compareAtPrice
+                selectedOptions {
+                  name
+                  value
+                }
+                metafields(namespace: "custom") {
+                  edges {
+                    node {
+                      id
+                      namespace
+                      key
+                      value
+                    }
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+`;
+
+// Page sizes for reading selected products, one product per query. Shopify rejects a
+// query whose requested cost is over 1000 points, and a connection costs 2 plus `first`
+// times the cost of each node, so a product with a full page of variants that each have a
+// full page of metafields comes to about 830 points. Longer lists are read a page at a time.
+export const PRODUCT_PAGE_SIZES = {
+  collections: 50,
+  metafields: 50,
+  variants: 25,
+  variantMetafields: 25,
+};
+
+const PAGE_INFO = `#graphql
+  pageInfo {
+    hasNextPage
+    endCursor
+  }
+`;
+
+const metafieldFields = (first, after = "") => `#graphql
+  metafields(namespace: "custom", first: ${first}${after}) {
+    edges {
+      node {
+        id
+        namespace
+        key
+        value
+      }
+    }
+    ${PAGE_INFO}
+  }
+`;
+
+const COLLECTION_FIELDS = `#graphql
+  edges {
+    node {
+      id
+    }
+  }
+  ${PAGE_INFO}
+`;
+
+const VARIANT_FIELDS = `#graphql
+  edges {
+    node {
+      id
+      title
+      price
+      compareAtPrice
+      selectedOptions {
+        name
+        value
+      }
+      ${metafieldFields(PRODUCT_PAGE_SIZES.variantMetafields)}
+    }
+  }
+  ${PAGE_INFO}
+`;
+
+const PRODUCT_BY_ID_QUERY = `#graphql
+  query productById($id: ID!) {
+    product(id: $id) {
+      id
+      title
+      status
+      handle
+      tags
+      vendor
+      productType
+      collections(first: ${PRODUCT_PAGE_SIZES.collections}) {
+        ${COLLECTION_FIELDS}
+      }
+      ${metafieldFields(PRODUCT_PAGE_SIZES.metafields)}
+      variants(first: ${PRODUCT_PAGE_SIZES.variants}) {
+        ${VARIANT_FIELDS}
+      }
+    }
+  }
+`;
+
+const MORE_COLLECTIONS_QUERY = `#graphql
+  query productCollections($id: ID!, $after: String) {
+    product(id: $id) {
+      collections(first: ${PRODUCT_PAGE_SIZES.collections}, after: $after) {
+        ${COLLECTION_FIELDS}
+      }
+    }
+  }
+`;
+
+const MORE_PRODUCT_METAFIELDS_QUERY = `#graphql
+  query productMetafields($id: ID!, $after: String) {
+    product(id: $id) {
+      ${metafieldFields(PRODUCT_PAGE_SIZES.metafields, ", after: $after")}
+    }
+  }
+`;
+
+const MORE_VARIANTS_QUERY = `#graphql
+  query productVariants($id: ID!, $after: String) {
+    product(id: $id) {
+      variants(first: ${PRODUCT_PAGE_SIZES.variants}, after: $after) {
+        ${VARIANT_FIELDS}
+      }
+    }
+  }
+`;
+
+const MORE_VARIANT_METAFIELDS_QUERY = `#graphql
+  query variantMetafields($id: ID!, $after: String) {
+    productVariant(id: $id) {
+      ${metafieldFields(PRODUCT_PAGE_SIZES.metafields, ", after: $after")}
+    }
+  }
+`;
+
+// "gid://shopify/ProductVariant/123" -> "ProductVariant"
+const gidType = (id) => id.split("/")[3];
+
+/**
+ * Rebuild nested products from bulk query JSONL, where child nodes follow their
+ * parent with a `__parentId`.
+ * @param {Array<object>} lines Parsed JSONL objects
+ * @returns {Array<object>} Product nodes with `collections`, `metafields` and `variants` edges
+ */
+export function assembleCatalogue(lines) {
+  const products = new Map();
+  const variants = new Map();
+
+  for (const { __parentId: parentId, ...node } of lines) {
+    switch (gidType(node.id)) {
+      case "Product":
+        products.set(node.id, {
+          ...node,
+          collections: { edges: [] },
+          metafields: { edges: [] },
+          variants: { edges: [] },
+        });
+        break;
+      case "ProductVariant": {
+        const variant = { ...node, metafields: { edges: [] } };
+        variants.set(node.id, variant);
+        products.get(parentId)?.variants.edges.push({ node: variant });
+        break;
+      }
+      case "Collection":
+        products.get(parentId)?.collections.edges.push({ node });
+        break;
+      case "Metafield": {
+        const owner = products.get(parentId) || variants.get(parentId);
+        owner?.metafields.edges.push({ node });
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  return [...products.values()];
+}
+
+/**
+ * Fetch every active product in the shop's product scope, with the metafields the
+ * pricing code reads, using a bulk query.
+ * @param {object} admin The Admin API context
+ * @param {object} [options]
+ * @param {Array<object>} [options.scope] Rules from getScopeRules(); none means every active product
+ * @param {Array<string>} [options.statuses] Product statuses to read instead of only ACTIVE
+ * @param {Function} [options.onProgress] Called with the bulk operation while it runs
+ * @param {number} [options.maxWaitMs] How long to wait for another bulk query on the shop
+ *   to finish, see runBulkQuery()
+ * @returns {Promise<Array<object>>} Product nodes with `collections`, `metafields` and `variants` edges
+ */
+export async function fetchCatalogue(
+  admin,
+  { scope = [], statuses, onProgress, maxWaitMs } = {}
+) {
+  const lines = await runBulkQuery(admin, catalogueQuery(buildScopeQuery(scope, { statuses })), {
+    onProgress,
+    maxWaitMs,
+  });
+  return assembleCatalogue(lines);
+}
+
+/**
+ * Fetch the given products straight from Shopify, in the same shape as fetchCatalogue(),
+ * so prices are never calculated from data sent by the browser. Products that no
+ * longer exist or are not active are left out.
+ * @param {object} admin The Admin API context
+ * @param {Array<string>} productIds Product GIDs
+ * @returns {Promise<Array<object>>} Product nodes with `collections`, `metafields` and `variants` edges
+ */
+export async function fetchProductsByIds(admin, productIds) {
+  const products = [];
+
+  for (const id of new Set(productIds)) {
+    const response = await admin.graphql(PRODUCT_BY_ID_QUERY, { variables: { id } });
+    const { data } = await response.json();
+    const product = data.product;
+    if (product?.status !== "ACTIVE") continue;
+
+    // Lists longer than a page are read with further queries
+    await fetchRemainingPages(admin, product.collections, MORE_COLLECTIONS_QUERY, {
+      id: product.id,
+      page: (result) => result.product.collections,
+    });
+    await fetchRemainingPages(admin, product.metafields, MORE_PRODUCT_METAFIELDS_QUERY, {
+      id: product.id,
+      page: (result) => result.product.metafields,
+    });
+    await fetchRemainingPages(admin, product.variants, MORE_VARIANTS_QUERY, {
+      id: product.id,
+      page: (result) => result.product.variants,
+    });
+    for (const { node: variant } of product.variants.edges) {
+      await fetchRemainingPages(admin, variant.metafields, MORE_VARIANT_METAFIELDS_QUERY, {
+        id: variant.id,
+        page: (result) => result.productVariant.metafields,
+      });
+    }
+
+    products.push(product);
+  }
+
+  return products;
+}
+
+// Append the rest of a connection's pages to its edges. `page` picks the connection out of
+// each response to `query`.
+async function fetchRemainingPages(admin, connection, query, { id, page }) {
+  let { pageInfo } = connection;
+  while (pageInfo.hasNextPage) {
+    const response = await admin.graphql(query, {
+      variables: { id, after: pageInfo.endCursor },
+    });
+    const { data } = await response.json();
+    const next = page(data);
+    connection.edges.push(...next.edges);
+    pageInfo = next.pageInfo;
+  }
+}
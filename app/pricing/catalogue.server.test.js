@@ -0,0 +1,127 @@
+import { describe, expect, it } from "vitest";
+import { PRODUCT_PAGE_SIZES, fetchProductsByIds } from "./catalogue.server";
+
+// Shopify's requested cost: 1 per object, and 2 plus `first` times the node cost per
+// connection
+const connectionCost = (first, nodeCost) => 2 + first * nodeCost;
+
+const page = (edges, endCursor = null) => ({
+  edges,
+  pageInfo: { hasNextPage: Boolean(endCursor), endCursor },
+});
+
+const metafield = (key, value) => ({ node: { id: key, namespace: "custom", key, value } });
+
+const variant = (id, metafields = page([])) => ({
+  node: {
+    id,
+    title: id,
+    price: "1.00",
+    compareAtPrice: null,
+    selectedOptions: [],
+    metafields,
+  },
+});
+
+const product = (id, { status = "ACTIVE", variants = page([]) } = {}) => ({
+  id,
+  title: id,
+  status,
+  handle: id,
+  tags: [],
+  vendor: "",
+  productType: "",
+  collections: page([]),
+  metafields: page([]),
+  variants,
+});
+
+// An admin client answering each query name from `responses`, in order, and recording
+// every request
+function mockAdmin(responses) {
+  const requests = [];
+  return {
+    requests,
+    graphql: async (query, { variables }) => {
+      const name = query.match(/query (\w+)/)[1];
+      requests.push({ name, query, variables });
+      const data = responses[name].shift();
+      return { json: async () => ({ data }) };
+    },
+  };
+}
+
+describe("fetchProductsByIds", () => {
+  it("keeps each query within Shopify's 1000 point cost limit", () => {
+    const { collections, metafields, variants, variantMetafields } = PRODUCT_PAGE_SIZES;
+    const variantCost = 1 + 1 + connectionCost(variantMetafields, 1);
+    const productCost =
+      1 +
+      connectionCost(collections, 1) +
+      connectionCost(metafields, 1) +
+      connectionCost(variants, variantCost);
+
+    expect(productCost).toBeLessThanOrEqual(1000);
+  });
+
+  it("asks for one product per query with the page sizes", async () => {
+    const admin = mockAdmin({
+      productById: [{ product: product("p1") }, { product: product("p2") }],
+    });
+
+    await fetchProductsByIds(admin, ["p1", "p2", "p1"]);
+
+    expect(admin.requests.map((request) => request.variables)).toEqual([
+      { id: "p1" },
+      { id: "p2" },
+    ]);
+    const { query } = admin.requests[0];
+    expect(query).toContain(`collections(first: ${PRODUCT_PAGE_SIZES.collections})`);
+    expect(query).toContain(`variants(first: ${PRODUCT_PAGE_SIZES.variants})`);
+    expect(query).toContain(
+      `metafields(namespace: "custom", first: ${PRODUCT_PAGE_SIZES.metafields})`
+    );
+    expect(query).toContain(
+      `metafields(namespace: "custom", first: ${PRODUCT_PAGE_SIZES.variantMetafields})`
+    );
+  });
+
+  it("reads further pages of variants and variant metafields", async () => {
+    const admin = mockAdmin({
+      productById: [
+        {
+          product: product("p1", {
+            variants: page([variant("v1", page([metafield("weight", "2")], "m1"))], "v1"),
+          }),
+        },
+      ],
+      productVariants: [{ product: { variants: page([variant("v2")]) } }],
+      variantMetafields: [{ productVariant: { metafields: page([metafield("wastage", "8")]) } }],
+    });
+
+    const [result] = await fetchProductsByIds(admin, ["p1"]);
+
+    expect(result.variants.edges.map(({ node }) => node.id)).toEqual(["v1", "v2"]);
+    expect(result.variants.edges[0].node.metafields.edges.map(({ node }) => node.key)).toEqual([
+      "weight",
+      "wastage",
+    ]);
+    expect(
+      admin.requests.filter((request) => request.name !== "productById").map((r) => r.variables)
+    ).toEqual([
+      { id: "p1", after: "v1" },
+      { id: "v1", after: "m1" },
+    ]);
+    expect(admin.requests[1].query).toContain(
+      `variants(first: ${PRODUCT_PAGE_SIZES.variants}, after: $after)`
+    );
+  });
+
+  it("leaves out products that are missing or not active", async () => {
+    const admin = mockAdmin({
+      productById: [{ product: null }, { product: product("p2", { status: "DRAFT" }) }],
+    });
+
+    expect(await fetchProductsByIds(admin, ["p1", "p2"])).toEqual([]);
+  });
+});
@@ -0,0 +1,27 @@
+/**
+ * Helper to process an array in chunks, running each chunk in parallel,
+ * but waiting for one chunk to finish before starting the next.
+ * @param {Array} array The items to process
+ * @param {number} chunkSize How many items to process in parallel
+ * @param {Function} callback An async function that takes an item and returns a promise
+ */
+export async function processInChunks(array, chunkSize, callback) {
+  let results = [];
+
+  for (let i = 0; i < array.length; i += chunkSize) {
+    const chunk = array.slice(i, i + chunkSize);
+
+    // Process this chunk in parallel
+    const chunkResults = await Promise.all(
+      chunk.map((item) => callback(item))
+    );
+
+    // Collect results
+    results = results.concat(chunkResults.filter(Boolean));
+  }
+
+  return results;
+}
+
+// Products updated in parallel per chunk; adjust to reduce/increase concurrency
+export const PRODUCT_CHUNK_SIZE = 5;
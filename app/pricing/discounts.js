@@ -0,0 +1,97 @@
+// Discount rules: a percentage off making charges or diamond value, or a flat amount
+// off the price, optionally limited to a date range. While a discount is active the
+// variant's compare-at price is its undiscounted price; once it ends, the next run
+// writes the full price again. Kept free of server imports so the settings page can use it.
+
+export const DISCOUNT_TYPES = {
+  making_percent: "% off making charges",
+  diamond_percent: "% off diamond value",
+  flat: "Flat amount off (₹)",
+};
+
+// The formula line each percentage discount reduces
+const DISCOUNTED_LINES = {
+  making_percent: "making",
+  diamond_percent: "diamonds",
+};
+
+/**
+ * Today's date in a time zone, as YYYY-MM-DD; discount dates are calendar days in the
+ * shop's time zone.
+ * @param {string} timeZone e.g. "Asia/Kolkata"
+ * @param {Date} [now]
+ */
+export function todayIn(timeZone, now = new Date()) {
+  return new Intl.DateTimeFormat("en-CA", { timeZone }).format(now);
+}
+
+/**
+ * Whether a discount applies on a day. Both dates are inclusive; a discount without
+ * dates is always active.
+ * @param {object} discount `{ startsOn, endsOn }` as YYYY-MM-DD or null
+ * @param {string} today YYYY-MM-DD
+ */
+export function isDiscountActive(discount, today) {
+  if (discount.startsOn && discount.startsOn > today) return false;
+  if (discount.endsOn && discount.endsOn < today) return false;
+  return true;
+}
+
+/**
+ * The first discount that started or ended since prices were last written, so a
+ * scheduled run writes them even when the rate has not moved.
+ * @param {Array<object>} discounts
+ * @param {string|null} lastDay YYYY-MM-DD prices were last written, or null
+ * @param {string} today YYYY-MM-DD
+ * @returns {string|null} A description of the change, or null if there is none
+ */
+export function findDiscountChange(discounts, lastDay, today) {
+  if (!lastDay) return null;
+
+  for (const discount of discounts) {
+    if (discount.startsOn && discount.startsOn > lastDay && discount.startsOn <= today) {
+      return `Discount "${discount.name}" started`;
+    }
+    if (discount.endsOn && discount.endsOn >= lastDay && discount.endsOn < today) {
+      return `Discount "${discount.name}" ended`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Reduce a formula breakup by the active discounts.
+ * @param {Array<{ type: string, label: string, amount: number }>} lines From evaluateFormula()
+ * @param {Array<object>} discounts Active discounts, `{ name, type, value }`
+ * @returns {{ lines: Array<object>, flat: number, applied: Array<{ name: string, amount: number }> }}
+ *   The discounted lines, the flat amount to take off the final price and what each
+ *   discount took off
+ */
+export function applyDiscounts(lines, discounts) {
+  const applied = [];
+
+  let discounted = lines;
+  for (const discount of discounts) {
+    const lineType = DISCOUNTED_LINES[discount.type];
+    if (!lineType) continue;
+
+    let amount = 0;
+    discounted = discounted.map((line) => {
+      if (line.type !== lineType) return line;
+      const off = (line.amount * discount.value) / 100;
+      amount += off;
+      return { ...line, amount: line.amount - off };
+    });
+    if (amount > 0) applied.push({ name: discount.name, amount });
+  }
+
+  const flatDiscounts = discounts.filter((discount) => discount.type === "flat");
+  applied.push(...flatDiscounts.map(({ name, value }) => ({ name, amount: value })));
+
+  return {
+    lines: discounted,
+    flat: flatDiscounts.reduce((sum, discount) => sum + discount.value, 0),
+    applied,
+  };
+}
@@ -0,0 +1,96 @@
+import { describe, expect, it } from "vitest";
+import { applyDiscounts, findDiscountChange, isDiscountActive, todayIn } from "./discounts";
+
+const lines = [
+  { type: "metal", label: "Metal value", amount: 70000 },
+  { type: "making", label: "Making charges", amount: 5000 },
+  { type: "diamonds", label: "Diamond value", amount: 20000 },
+];
+
+describe("applyDiscounts", () => {
+  it("takes percentages off their lines and leaves flat amounts for the final price", () => {
+    const result = applyDiscounts(lines, [
+      { name: "Festive", type: "flat", value: 1000 },
+      { name: "Making offer", type: "making_percent", value: 20 },
+      { name: "Diamond offer", type: "diamond_percent", value: 10 },
+    ]);
+
+    expect(result.lines.map((line) => line.amount)).toEqual([70000, 4000, 18000]);
+    expect(result.flat).toBe(1000);
+    expect(result.applied).toEqual([
+      { name: "Making offer", amount: 1000 },
+      { name: "Diamond offer", amount: 2000 },
+      { name: "Festive", amount: 1000 },
+    ]);
+  });
+
+  it("applies a second making discount to what the first left", () => {
+    const { lines: discounted, applied } = applyDiscounts(lines, [
+      { name: "First", type: "making_percent", value: 20 },
+      { name: "Second", type: "making_percent", value: 50 },
+    ]);
+
+    expect(discounted[1].amount).toBe(2000);
+    expect(applied.map((discount) => discount.amount)).toEqual([1000, 2000]);
+  });
+
+  it("lists no percentage discount for a line the formula does not have", () => {
+    const { applied } = applyDiscounts(lines.slice(0, 2), [
+      { name: "Diamond offer", type: "diamond_percent", value: 10 },
+    ]);
+
+    expect(applied).toEqual([]);
+  });
+});
+
+describe("isDiscountActive", () => {
+  const discount = { startsOn: "2026-10-20", endsOn: "2026-10-25" };
+
+  it("is active on the first and last days", () => {
+    expect(isDiscountActive(discount, "2026-10-20")).toBe(true);
+    expect(isDiscountActive(discount, "2026-10-25")).toBe(true);
+  });
+
+  it("is not active before it starts or after it ends", () => {
+    expect(isDiscountActive(discount, "2026-10-19")).toBe(false);
+    expect(isDiscountActive(discount, "2026-10-26")).toBe(false);
+  });
+
+  it("is always active without dates", () => {
+    expect(isDiscountActive({ startsOn: null, endsOn: null }, "2026-10-19")).toBe(true);
+  });
+});
+
+describe("todayIn", () => {
+  const now = new Date("2026-10-19T20:00:00Z");
+
+  it("gives the date in the shop's time zone", () => {
+    expect(todayIn("Asia/Kolkata", now)).toBe("2026-10-20");
+    expect(todayIn("UTC", now)).toBe("2026-10-19");
+  });
+
+  it("starts a discount on the shop's day rather than UTC's", () => {
+    const discount = { startsOn: "2026-10-20", endsOn: null };
+
+    expect(isDiscountActive(discount, todayIn("Asia/Kolkata", now))).toBe(true);
+    expect(isDiscountActive(discount, todayIn("UTC", now))).toBe(false);
+  });
+});
+
+describe("findDiscountChange", () => {
+  const discounts = [{ name: "Diwali", startsOn: "2026-10-20", endsOn: "2026-10-25" }];
+
+  it("reports a discount that started or ended since prices were last written", () => {
+    expect(findDiscountChange(discounts, "2026-10-19", "2026-10-20")).toBe(
+      'Discount "Diwali" started'
+    );
+    expect(findDiscountChange(discounts, "2026-10-25", "2026-10-26")).toBe(
+      'Discount "Diwali" ended'
+    );
+  });
+
+  it("reports nothing while a discount carries on or before prices were written", () => {
+    expect(findDiscountChange(discounts, "2026-10-21", "2026-10-22")).toBeNull();
+    expect(findDiscountChange(discounts, null, "2026-10-20")).toBeNull();
+  });
+});
@@ -0,0 +1,179 @@
+// The price formula: an ordered list of components, each adding an amount to the
+// running total of a variant's price. Shops edit their formula on the settings page;
+// the same evaluation drives previews, manual updates and scheduled runs. GST and
+// rounding are not formula steps: they have their own settings (tax.js, rounding.js) and
+// apply to the formula's total after discounts.
+// Kept free of server imports so the settings page can use the definitions too.
+
+// Component types, with the labels shown in settings
+export const FORMULA_COMPONENTS = {
+  metal: "Metal value",
+  making: "Making charges",
+  diamonds: "Diamond value",
+  fee: "Fixed fee",
+  markup: "Markup",
+};
+
+export const MAKING_MODES = {
+  per_gram: "Per gram of metal",
+  flat: "Flat per piece",
+  percentage: "% of metal value",
+};
+
+// Reproduces the original calculation: metal value, then the variant's wastage % if it
+// has one, otherwise the Home page making charge per gram, plus the diamond value
+export const DEFAULT_FORMULA = [
+  { type: "metal" },
+  { type: "making", mode: "per_gram", amount: null, useWastage: true },
+  { type: "diamonds" },
+];
+
+const toNumber = (value) =>
+  value === null || value === undefined || value === "" ? null : parseFloat(value);
+
+/**
+ * Coerce a formula submitted from the settings form into the stored shape.
+ * @param {Array<object>} formula
+ */
+export function normaliseFormula(formula) {
+  return formula.map((component) => {
+    switch (component.type) {
+      case "making":
+        return {
+          type: "making",
+          mode: component.mode,
+          amount: toNumber(component.amount),
+          useWastage: component.useWastage === true || component.useWastage === "true",
+        };
+      case "fee":
+        return {
+          type: "fee",
+          label: String(component.label || "").trim(),
+          amount: toNumber(component.amount),
+        };
+      case "markup":
+        return {
+          type: "markup",
+          label: String(component.label || "").trim(),
+          percent: toNumber(component.percent),
+        };
+      default:
+        return { type: component.type };
+    }
+  });
+}
+
+/**
+ * Returns a map of field name to error message, or null when the formula is valid.
+ * Making charges worked out from the metal value must come after the metal.
+ */
+export function validateFormula(formula) {
+  const errors = {};
+  const invalidNumber = (value) => value === null || isNaN(value) || value < 0;
+  const metalIndex = Array.isArray(formula)
+    ? formula.findIndex((component) => component.type === "metal")
+    : -1;
+
+  if (!Array.isArray(formula) || !formula.length) {
+    errors.formula = "The formula needs at least one component";
+  } else if (formula.some((component) => !FORMULA_COMPONENTS[component.type])) {
+    errors.formula = "Unknown formula component";
+  } else if (formula.filter((component) => component.type === "metal").length !== 1) {
+    errors.formula = "The formula must include the metal value exactly once";
+  } else {
+    for (const [index, component] of formula.entries()) {
+      const label = FORMULA_COMPONENTS[component.type];
+      if (component.type === "making") {
+        if (
+          index < metalIndex &&
+          (component.mode === "percentage" || component.useWastage)
+        ) {
+          errors.formula =
+            "Percentage and wastage making charges must come after the metal value";
+        } else if (!MAKING_MODES[component.mode]) {
+          errors.formula = "Choose how making charges are calculated";
+        } else if (
+          component.amount !== null &&
+          (isNaN(component.amount) || component.amount < 0)
+        ) {
+          errors.formula = "Making charges cannot be negative";
+        } else if (component.amount === null && component.mode !== "per_gram") {
+          errors.formula = "Flat and percentage making charges need an amount";
+        }
+      } else if (component.type === "fee" && invalidNumber(component.amount)) {
+        errors.formula = `${component.label || label} needs an amount of zero or more`;
+      } else if (component.type === "markup" && invalidNumber(component.percent)) {
+        errors.formula = `${component.label || label} needs a percentage of zero or more`;
+      }
+      if (errors.formula) break;
+    }
+  }
+
+  if (Object.keys(errors).length) {
+    return errors;
+  }
+
+  return null;
+}
+
+/**
+ * Work out a variant's price by applying each component in order.
+ * @param {Array<object>} formula Components, e.g. DEFAULT_FORMULA
+ * @param {object} inputs
+ * @param {number} inputs.metalRate Rate per gram for the variant's purity
+ * @param {number} inputs.weight Metal weight in grams
+ * @param {number} inputs.makingCharges Per-gram making charge from the Home page
+ * @param {number} inputs.wastagePercent The variant's wastage %, or 0
+ * @param {number} inputs.diamondValue Total value of the piece's diamonds
+ * @returns {{ total: number, lines: Array<{ type: string, label: string, amount: number }> }}
+ *   One line per component that applies, so the breakup can be shown or stored
+ */
+export function evaluateFormula(formula, { metalRate, weight, makingCharges, wastagePercent, diamondValue }) {
+  const lines = [];
+  let total = 0;
+  let metalValue = 0;
+
+  const add = (type, label, amount) => {
+    lines.push({ type, label, amount });
+    total += amount;
+  };
+
+  for (const component of formula) {
+    switch (component.type) {
+      case "metal":
+        metalValue = metalRate * weight;
+        add("metal", FORMULA_COMPONENTS.metal, metalValue);
+        break;
+      case "making":
+        if (component.useWastage && wastagePercent > 0) {
+          add("making", `Wastage ${wastagePercent}%`, (metalValue * wastagePercent) / 100);
+        } else if (component.mode === "flat") {
+          add("making", FORMULA_COMPONENTS.making, component.amount);
+        } else if (component.mode === "percentage") {
+          add("making", FORMULA_COMPONENTS.making, (metalValue * component.amount) / 100);
+        } else {
+          // Per gram, falling back to the Home page making charge
+          const perGram = component.amount ?? makingCharges;
+          add("making", FORMULA_COMPONENTS.making, weight > 0 ? perGram * weight : 0);
+        }
+        break;
+      case "diamonds":
+        add("diamonds", FORMULA_COMPONENTS.diamonds, diamondValue);
+        break;
+      case "fee":
+        add("fee", component.label || FORMULA_COMPONENTS.fee, component.amount);
+        break;
+      case "markup":
+        add(
+          "markup",
+          component.label || FORMULA_COMPONENTS.markup,
+          (total * component.percent) / 100
+        );
+        break;
+      default:
+        break;
+    }
+  }
+
+  return { total, lines };
+}
@@ -0,0 +1,129 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_FORMULA, evaluateFormula, normaliseFormula, validateFormula } from "./formula";
+
+const inputs = {
+  metalRate: 7000,
+  weight: 10,
+  makingCharges: 500,
+  wastagePercent: 0,
+  diamondValue: 20000,
+};
+
+describe("evaluateFormula", () => {
+  it("prices the default formula as metal, per-gram making and diamonds", () => {
+    const { total, lines } = evaluateFormula(DEFAULT_FORMULA, inputs);
+
+    expect(lines).toEqual([
+      { type: "metal", label: "Metal value", amount: 70000 },
+      { type: "making", label: "Making charges", amount: 5000 },
+      { type: "diamonds", label: "Diamond value", amount: 20000 },
+    ]);
+    expect(total).toBe(95000);
+  });
+
+  it("charges the variant's wastage instead of making charges when it has one", () => {
+    const { lines } = evaluateFormula(DEFAULT_FORMULA, { ...inputs, wastagePercent: 12 });
+
+    expect(lines[1]).toEqual({ type: "making", label: "Wastage 12%", amount: 8400 });
+  });
+
+  it("applies flat and percentage making charges", () => {
+    const flat = evaluateFormula(
+      [{ type: "metal" }, { type: "making", mode: "flat", amount: 1200, useWastage: false }],
+      inputs
+    );
+    const percentage = evaluateFormula(
+      [{ type: "metal" }, { type: "making", mode: "percentage", amount: 15, useWastage: false }],
+      inputs
+    );
+
+    expect(flat.total).toBe(71200);
+    expect(percentage.total).toBe(80500);
+  });
+
+  it("applies markup to the total of the steps above it", () => {
+    const { lines, total } = evaluateFormula(
+      [
+        { type: "metal" },
+        { type: "fee", label: "Hallmarking fee", amount: 1000 },
+        { type: "markup", label: "Margin", percent: 10 },
+        { type: "diamonds" },
+      ],
+      inputs
+    );
+
+    expect(lines[2]).toEqual({ type: "markup", label: "Margin", amount: 7100 });
+    expect(total).toBe(98100);
+  });
+
+  it("charges no per-gram making without a weight", () => {
+    const { lines } = evaluateFormula(DEFAULT_FORMULA, { ...inputs, weight: 0 });
+
+    expect(lines[1].amount).toBe(0);
+  });
+});
+
+describe("validateFormula", () => {
+  it("accepts the default formula", () => {
+    expect(validateFormula(DEFAULT_FORMULA)).toBeNull();
+  });
+
+  it("needs the metal value exactly once", () => {
+    expect(validateFormula([{ type: "diamonds" }])).toEqual({
+      formula: "The formula must include the metal value exactly once",
+    });
+    expect(validateFormula([{ type: "metal" }, { type: "metal" }])).not.toBeNull();
+  });
+
+  it("rejects empty formulas and unknown components", () => {
+    expect(validateFormula([])).not.toBeNull();
+    expect(validateFormula([{ type: "metal" }, { type: "tax", percent: 3 }])).toEqual({
+      formula: "Unknown formula component",
+    });
+    expect(validateFormula([{ type: "metal" }, { type: "rounding", nearest: 10 }])).toEqual({
+      formula: "Unknown formula component",
+    });
+  });
+
+  it("rejects percentage and wastage making charges before the metal value", () => {
+    const error = {
+      formula: "Percentage and wastage making charges must come after the metal value",
+    };
+
+    expect(
+      validateFormula([
+        { type: "making", mode: "percentage", amount: 10, useWastage: false },
+        { type: "metal" },
+      ])
+    ).toEqual(error);
+    expect(
+      validateFormula([
+        { type: "making", mode: "per_gram", amount: null, useWastage: true },
+        { type: "metal" },
+      ])
+    ).toEqual(error);
+    expect(
+      validateFormula([
+        { type: "making", mode: "flat", amount: 500, useWastage: false },
+        { type: "metal" },
+      ])
+    ).toBeNull();
+  });
+
+  it("needs amounts for flat and percentage making charges", () => {
+    expect(
+      validateFormula(
+        normaliseFormula([{ type: "metal" }, { type: "making", mode: "flat", amount: "" }])
+      )
+    ).toEqual({ formula: "Flat and percentage making charges need an amount" });
+  });
+
+  it("rejects negative fees and markups", () => {
+    expect(
+      validateFormula([{ type: "metal" }, { type: "fee", label: "Certificate", amount: -1 }])
+    ).toEqual({ formula: "Certificate needs an amount of zero or more" });
+    expect(
+      validateFormula([{ type: "metal" }, { type: "markup", label: "", percent: -5 }])
+    ).toEqual({ formula: "Markup needs a percentage of zero or more" });
+  });
+});
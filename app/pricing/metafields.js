@@ -0,0 +1,50 @@
+// Helpers for reading "custom" namespace metafields from GraphQL edges.
+// Shared by the route components and the server-side pricing code.
+
+export const getMetafieldValue = (metafields, key) => {
+  if (!metafields || !Array.isArray(metafields)) return null;
+  const metafield = metafields.find(
+    (m) => m.node.key === key && m.node.namespace === "custom"
+  );
+  return metafield ? metafield.node.value : null;
+};
+
+export const getNumericMetafieldValue = (metafields, key) => {
+  const val = getMetafieldValue(metafields, key);
+  if (val === null || val === undefined) return 0;
+  const trimmed = String(val).trim();
+  try {
+    if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
+      const parsed = JSON.parse(trimmed);
+      if (parsed && typeof parsed === "object" && parsed.value !== undefined) {
+        return parseFloat(parsed.value) || 0;
+      }
+    }
+  } catch (e) {
+    // If parsing fails, fallback to parseFloat
+  }
+
+  // Allow values like "2.5%" by stripping '%' if present
+  const numericOnly = trimmed.replace("%", "");
+  const parsedFloat = parseFloat(numericOnly);
+  return isNaN(parsedFloat) ? 0 : parsedFloat;
+};
+
+// Like getNumericMetafieldValue(), but tells unset values (null) from values that are
+// set but not a number (NaN) instead of reading both as 0
+export const parseNumericMetafieldValue = (metafields, key) => {
+  const val = getMetafieldValue(metafields, key);
+  if (val === null || val === undefined || String(val).trim() === "") return null;
+  let trimmed = String(val).trim();
+  if (trimmed.startsWith("{")) {
+    try {
+      const parsed = JSON.parse(trimmed);
+      trimmed = String(parsed?.value ?? "").trim();
+    } catch (e) {
+      return NaN;
+    }
+  }
+
+  const numericOnly = trimmed.replace(/%$/, "");
+  return numericOnly === "" ? NaN : Number(numericOnly);
+};
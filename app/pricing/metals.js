@@ -0,0 +1,10 @@
+// The metals the app can price, with the symbols rate providers quote them under.
+// Kept free of server imports so the settings and home pages can use it.
+export const METALS = {
+  gold: { label: "Gold", symbol: "XAU" },
+  silver: { label: "Silver", symbol: "XAG" },
+  platinum: { label: "Platinum", symbol: "XPT" },
+};
+
+// Metals other than gold, whose rates are entered or fetched alongside the gold rate
+export const OTHER_METALS = Object.keys(METALS).filter((metal) => metal !== "gold");
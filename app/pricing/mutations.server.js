@@ -0,0 +1,108 @@
+import { runBulkMutation } from "./bulk.server";
+
+export const PRODUCT_VARIANTS_BULK_UPDATE = `#graphql
+  mutation productVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+    productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+      product {
+        id
+      }
+      productVariants {
+        id
+        price
+        compareAtPrice
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+export const METAFIELDS_SET = `#graphql
+  mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
+    metafieldsSet(metafields: $metafields) {
+      metafields {
+        id
+        key
+        value
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+// metafieldsSet accepts at most this many metafields per call
+export const METAFIELDS_SET_LIMIT = 25;
+
+export const METAFIELDS_DELETE = `#graphql
+  mutation metafieldsDelete($metafields: [MetafieldIdentifierInput!]!) {
+    metafieldsDelete(metafields: $metafields) {
+      deletedMetafields {
+        key
+        ownerId
+      }
+      userErrors {
+        field
+        message
+      }
+    }
+  }
+`;
+
+/**
+ * Write new prices for some of a product's variants.
+ * @param {object} admin The Admin API context from authenticate.admin()
+ * @param {string} productId Product GID
+ * @param {Array<{ id: string, price: string, compareAtPrice: string|null }>} variants
+ * @returns {Promise<object>} The parsed GraphQL response
+ */
+export async function updateProductVariants(admin, productId, variants) {
+  const response = await admin.graphql(PRODUCT_VARIANTS_BULK_UPDATE, {
+    variables: {
+      productId,
+      variants,
+    },
+  });
+
+  return response.json();
+}
+
+/**
+ * Write metafields with a single bulk operation, METAFIELDS_SET_LIMIT per metafieldsSet call.
+ * @param {object} admin The Admin API context
+ * @param {Array<object>} metafields MetafieldsSetInput values
+ * @returns {Promise<string[]>} The messages of any userErrors
+ */
+export async function setMetafieldsInBulk(admin, metafields) {
+  const batches = [];
+  for (let i = 0; i < metafields.length; i += METAFIELDS_SET_LIMIT) {
+    batches.push({ metafields: metafields.slice(i, i + METAFIELDS_SET_LIMIT) });
+  }
+
+  const results = await runBulkMutation(admin, METAFIELDS_SET, batches);
+  return results.flatMap((data) =>
+    (data?.metafieldsSet.userErrors || []).map((error) => error.message)
+  );
+}
+
+/**
+ * Delete metafields, METAFIELDS_SET_LIMIT per metafieldsDelete call.
+ * @param {object} admin The Admin API context
+ * @param {Array<{ ownerId: string, namespace: string, key: string }>} metafields
+ * @returns {Promise<string[]>} The messages of any userErrors
+ */
+export async function deleteMetafields(admin, metafields) {
+  const errors = [];
+  for (let i = 0; i < metafields.length; i += METAFIELDS_SET_LIMIT) {
+    const response = await admin.graphql(METAFIELDS_DELETE, {
+      variables: { metafields: metafields.slice(i, i + METAFIELDS_SET_LIMIT) },
+    });
+    const { data } = await response.json();
+    errors.push(...data.metafieldsDelete.userErrors.map((error) => error.message));
+  }
+  return errors;
+}
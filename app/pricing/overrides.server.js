@@ -0,0 +1,77 @@
+import { getMetafieldValue } from "./metafields";
+
+// A "custom.price_locked" metafield on the product or variant locks it too
+const lockedByMetafield = (metafields) =>
+  String(getMetafieldValue(metafields?.edges, "price_locked")).toLowerCase() === "true";
+
+// A variant the formula could not price (e.g. its metal or karat is unknown), for the
+// fixed price set on it to be written regardless
+const uncalculatedVariant = (node) => ({
+  id: node.id,
+  title: node.title,
+  previousPrice: node.price,
+  previousCompareAtPrice: node.compareAtPrice,
+  calculated: false,
+  tax: null,
+});
+
+/**
+ * Apply the shop's locks and fixed prices to a product's calculated variants.
+ * Locked products and variants are dropped; fixed prices replace the calculated
+ * price and leave the compare-at price as it was. Variants with a fixed price are
+ * written even when calculateProductPrices() skipped them.
+ * @param {object} product The product node the variants were calculated from
+ * @param {Array<object>} variants Variants from calculateProductPrices()
+ * @param {Array<object>} overrides From getPriceOverrides()
+ * @param {Array<string>} debugLogs Log lines are appended here
+ * @returns {Array<object>} The variants to write; those only priced by a fixed price
+ *   have `calculated: false` and no breakup
+ */
+export function applyPriceOverrides(product, variants, overrides, debugLogs) {
+  const calculated = new Map(variants.map((variant) => [variant.id, variant]));
+  const candidates = product.variants.edges.flatMap(({ node }) => {
+    if (calculated.has(node.id)) return [calculated.get(node.id)];
+    const override = overrides.find((o) => o.variantId === node.id);
+    return override?.fixedPrice ? [uncalculatedVariant(node)] : [];
+  });
+
+  const productLocked =
+    lockedByMetafield(product.metafields) ||
+    overrides.some((o) => o.productId === product.id && !o.variantId && o.locked);
+  if (productLocked) {
+    if (candidates.length > 0) {
+      debugLogs.push(`Product "${product.title}": skipped (locked)`);
+    }
+    return [];
+  }
+
+  const nodes = new Map(product.variants.edges.map(({ node }) => [node.id, node]));
+
+  return candidates.flatMap((variant) => {
+    const override = overrides.find((o) => o.variantId === variant.id);
+
+    if (override?.locked || lockedByMetafield(nodes.get(variant.id)?.metafields)) {
+      debugLogs.push(`Variant "${variant.title}" of "${product.title}": skipped (locked)`);
+      return [];
+    }
+
+    if (override?.fixedPrice) {
+      const instead =
+        variant.calculated === false ? "without a calculated price" : `instead of ${variant.price}`;
+      debugLogs.push(
+        `Variant "${variant.title}" of "${product.title}": fixed price ${override.fixedPrice.toFixed(2)} ${instead}`
+      );
+      return [
+        {
+          ...variant,
+          price: override.fixedPrice.toFixed(2),
+          unroundedPrice: null,
+          fixedPrice: true,
+          compareAtPrice: variant.previousCompareAtPrice,
+        },
+      ];
+    }
+
+    return [variant];
+  });
+}
@@ -0,0 +1,69 @@
+import { describe, expect, it } from "vitest";
+import { applyPriceOverrides } from "./overrides.server";
+
+const node = (id, metafields = []) => ({
+  id,
+  title: id,
+  price: "1000.00",
+  compareAtPrice: "1200.00",
+  metafields: { edges: metafields },
+});
+
+const product = {
+  id: "p1",
+  title: "Ring",
+  metafields: { edges: [] },
+  variants: { edges: [{ node: node("v1") }, { node: node("v2") }] },
+};
+
+// v1 as calculateProductPrices() returns it; v2 could not be classified
+const calculated = [
+  {
+    id: "v1",
+    title: "v1",
+    previousPrice: "1000.00",
+    previousCompareAtPrice: "1200.00",
+    price: "1500.00",
+    compareAtPrice: "1500.00",
+  },
+];
+
+describe("applyPriceOverrides", () => {
+  it("writes a fixed price on a variant the formula could not price", () => {
+    const debugLogs = [];
+    const variants = applyPriceOverrides(
+      product,
+      calculated,
+      [{ productId: "p1", variantId: "v2", locked: false, fixedPrice: 2500 }],
+      debugLogs
+    );
+
+    expect(variants.map((variant) => [variant.id, variant.price])).toEqual([
+      ["v1", "1500.00"],
+      ["v2", "2500.00"],
+    ]);
+    expect(variants[1]).toMatchObject({
+      calculated: false,
+      fixedPrice: true,
+      previousPrice: "1000.00",
+      compareAtPrice: "1200.00",
+    });
+    expect(debugLogs).toEqual([
+      'Variant "v2" of "Ring": fixed price 2500.00 without a calculated price',
+    ]);
+  });
+
+  it("does not write a fixed price on a locked product", () => {
+    const variants = applyPriceOverrides(
+      product,
+      calculated,
+      [
+        { productId: "p1", variantId: null, locked: true, fixedPrice: null },
+        { productId: "p1", variantId: "v2", locked: false, fixedPrice: 2500 },
+      ],
+      []
+    );
+
+    expect(variants).toEqual([]);
+  });
+});
@@ -0,0 +1,310 @@
+import { recordAppliedRate } from "../models/pricing-config.server";
+import {
+  finishPriceRun,
+  isPriceRunCancelRequested,
+  recordPriceRunChanges,
+  updatePriceRunProgress,
+} from "../models/price-run.server";
+import { calculateProductPrices } from "./calculate.server";
+import { applyPriceOverrides } from "./overrides.server";
+import { matchesScope } from "./scope.server";
+import { getMetafieldValue } from "./metafields";
+import { PRICE_BREAKUP_KEY, buildPriceBreakup } from "./breakup.server";
+import { cancelBulkOperation, runBulkMutation } from "./bulk.server";
+import { PRODUCT_VARIANTS_BULK_UPDATE, setMetafieldsInBulk } from "./mutations.server";
+
+const parseJsonObject = (value) => {
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === "object" ? parsed : {};
+  } catch (e) {
+    return {};
+  }
+};
+
+/**
+ * The product metafield written with its prices when GST is on: "custom.tax_breakdown"
+ * with each written variant's tax per component. Variants not written this time keep
+ * their entry from the existing breakdown.
+ * @param {object} update `{ product, variants }`
+ * @param {Set<string>} writtenIds Variants whose prices were written
+ */
+function productMetafields({ product, variants }, writtenIds) {
+  const metafields = [];
+
+  const taxed = variants.filter((variant) => variant.tax && writtenIds.has(variant.id));
+  if (taxed.length > 0) {
+    const existing = parseJsonObject(getMetafieldValue(product.metafields.edges, "tax_breakdown"));
+    const breakdown = { ...existing.variants };
+    for (const variant of taxed) {
+      breakdown[variant.id] = {
+        title: variant.title,
+        inclusive: variant.tax.inclusive,
+        components: variant.tax.components.map(({ type, label, amount, rate, tax }) => ({
+          type,
+          label,
+          amount: amount.toFixed(2),
+          rate,
+          tax: tax.toFixed(2),
+        })),
+        total: variant.tax.total.toFixed(2),
+      };
+    }
+    metafields.push({
+      ownerId: product.id,
+      namespace: "custom",
+      key: "tax_breakdown",
+      value: JSON.stringify({ variants: breakdown }),
+      type: "json",
+    });
+  }
+
+  return metafields;
+}
+
+/**
+ * The "custom.diamond_price" and "custom.price_breakup" metafields of every variant written.
+ * Variants only priced by a fixed price have no breakup, so keep the ones they had.
+ * @param {object} update `{ product, variants }`
+ * @param {Set<string>} writtenIds Variants whose prices were written
+ * @param {object} context `{ metalRates, rateAt }` for buildPriceBreakup()
+ */
+function variantMetafields({ variants }, writtenIds, context) {
+  return variants
+    .filter((variant) => writtenIds.has(variant.id) && variant.calculated !== false)
+    .flatMap((variant) => [
+      {
+        ownerId: variant.id,
+        namespace: "custom",
+        key: "diamond_price",
+        value: variant.diamondPrice.toFixed(2),
+        type: "number_decimal",
+      },
+      {
+        ownerId: variant.id,
+        namespace: "custom",
+        key: PRICE_BREAKUP_KEY,
+        value: JSON.stringify(buildPriceBreakup(variant, context)),
+        type: "json",
+      },
+    ]);
+}
+
+/**
+ * The values the metafields a run writes for a variant had before it, null for any that
+ * were not set: the variant's diamond price and price breakup, unless only a fixed price
+ * was written, and its product's tax breakdown when that is written too.
+ * @param {object} product The product node, with the metafields as read before the run
+ * @param {object} variant A variant being written
+ * @param {boolean} taxWritten Whether the product's tax breakdown is written
+ * @returns {Record<string, string|null>} Keyed by metafield key
+ */
+function previousMetafields(product, variant, taxWritten) {
+  const node = product.variants.edges.find((edge) => edge.node.id === variant.id)?.node;
+  const previous = {};
+
+  if (variant.calculated !== false) {
+    for (const key of ["diamond_price", PRICE_BREAKUP_KEY]) {
+      previous[key] = getMetafieldValue(node?.metafields.edges, key);
+    }
+  }
+  if (taxWritten) {
+    previous.tax_breakdown = getMetafieldValue(product.metafields.edges, "tax_breakdown");
+  }
+
+  return previous;
+}
+
+/**
+ * Reprice products for a queued run, write the results to Shopify with bulk mutations
+ * and record them in the ledger. Called by the background worker, which has already
+ * marked the run as running.
+ * @param {object} options
+ * @param {object} options.admin The Admin API context
+ * @param {object} options.run The PriceRun being processed
+ * @param {Array<object>} options.products Product nodes as returned by fetchCatalogue()
+ * @param {object} options.rates `{ goldRate, makingCharges, ...pricing }` as taken by
+ *   calculateProductPrices()
+ * @param {Set<string>|null} [options.selectedVariantIds] Only write these variants
+ * @param {Array<object>} [options.scope] Product scope rules; products outside it are not written
+ * @param {Array<object>} [options.overrides] Locks and fixed prices from getPriceOverrides()
+ * @param {string[]} [options.debugLogs] Log lines so far, e.g. GraphQL retries; the run's own lines are appended
+ * @returns {Promise<{ runId: number, success: boolean, message: string, debugLogs: string[] }>}
+ */
+export async function runRepricing({
+  admin,
+  run,
+  products,
+  rates,
+  selectedVariantIds = null,
+  scope = [],
+  overrides = [],
+  debugLogs = [],
+}) {
+  const { shop } = run;
+  const { goldRate } = rates;
+
+  // Previous and new prices of every variant written
+  const changes = [];
+
+  // Set once Shopify confirms the variant update was stopped at the merchant's request
+  let cancelled = false;
+
+  try {
+    // Work out every price first; nothing is written until the bulk mutation below
+    const updates = products
+      .filter((product) => {
+        if (matchesScope(product, scope)) return true;
+        debugLogs.push(`Skipping product "${product.title}": outside the product scope`);
+        return false;
+      })
+      .map((product) => {
+        const { variants: calculated } = calculateProductPrices(product, rates, debugLogs);
+        const selected = applyPriceOverrides(product, calculated, overrides, debugLogs)
+          .filter((variant) => !selectedVariantIds || selectedVariantIds.has(variant.id));
+        return { product, variants: selected };
+      })
+      .filter((update) => update.variants.length > 0);
+    await updatePriceRunProgress(run.id, { totalCount: updates.length });
+
+    // While the bulk mutation runs, report progress and pass on any cancel request
+    let cancelSent = false;
+    const onProgress = async (operation) => {
+      if (operation.status === "CANCELED") cancelled = true;
+      await updatePriceRunProgress(run.id, {
+        processedCount: Math.min(Number(operation.objectCount), updates.length),
+      });
+      if (cancelSent || operation.status !== "RUNNING") return;
+      if (await isPriceRunCancelRequested(run.id)) {
+        cancelSent = true;
+        await cancelBulkOperation(admin, operation.id);
+      }
+    };
+
+    // Update product variants, one productVariantsBulkUpdate call per product
+    const variantResults = await runBulkMutation(
+      admin,
+      PRODUCT_VARIANTS_BULK_UPDATE,
+      updates.map(({ product, variants }) => ({
+        productId: product.id,
+        variants: variants.map((variant) => ({
+          id: variant.id,
+          price: variant.price,
+          compareAtPrice: variant.compareAtPrice,
+        })),
+      })),
+      onProgress
+    );
+
+    const results = updates.map(({ product, variants }, index) => {
+      const data = variantResults[index];
+      if (!data) {
+        // Products a cancelled run never reached are remaining, not failed
+        if (cancelled) return null;
+        return {
+          productVariants: [],
+          userErrors: [{ message: `No result for product "${product.title}"` }],
+        };
+      }
+
+      // Remember what each written variant cost before, and the metafields written with
+      // it, so the run can be reverted
+      const { productVariants } = data.productVariantsBulkUpdate;
+      const updatedIds = new Set((productVariants || []).map((variant) => variant.id));
+      const taxWritten = variants.some((variant) => variant.tax && updatedIds.has(variant.id));
+      changes.push(
+        ...variants
+          .filter((variant) => updatedIds.has(variant.id))
+          .map((variant) => ({
+            productId: product.id,
+            variantId: variant.id,
+            productTitle: product.title,
+            variantTitle: variant.title,
+            previousPrice: variant.previousPrice,
+            previousCompareAtPrice: variant.previousCompareAtPrice,
+            newPrice: variant.price,
+            newCompareAtPrice: variant.compareAtPrice,
+            previousMetafields: JSON.stringify(previousMetafields(product, variant, taxWritten)),
+          }))
+      );
+
+      return data.productVariantsBulkUpdate;
+    });
+    const processed = results.filter((result) => result);
+    await updatePriceRunProgress(run.id, {
+      processedCount: processed.length,
+      failedCount: processed.filter((result) => result.userErrors.length > 0).length,
+    });
+
+    // Update the tax breakdown of every product written, and the diamond price and price
+    // breakup of every variant written
+    const changedProductIds = new Set(changes.map((change) => change.productId));
+    const writtenIds = new Set(changes.map((change) => change.variantId));
+    const breakupContext = {
+      metalRates: { ...rates.metalRates, gold: goldRate },
+      rateAt: run.rateSnapshot?.fetchedAt || run.startedAt,
+    };
+    const metafields = updates
+      .filter(({ product }) => changedProductIds.has(product.id))
+      .flatMap((update) => [
+        ...productMetafields(update, writtenIds),
+        ...variantMetafields(update, writtenIds, breakupContext),
+      ]);
+    const metafieldErrors = await setMetafieldsInBulk(admin, metafields);
+    if (metafieldErrors.length > 0) {
+      debugLogs.push(`Error updating metafields: ${metafieldErrors.join(", ")}`);
+    }
+
+    // Collect userErrors from every product update
+    const errors = processed.flatMap((result) => result.userErrors).filter((error) => error);
+
+    const updatedVariants = processed.map((result) => result.productVariants || []);
+    await recordPriceRunChanges(run.id, changes);
+    // The rate this replaces is kept on the run, for reverting it to put back
+    const previousApplied = changes.length > 0 ? await recordAppliedRate(shop, goldRate) : {};
+    await finishPriceRun(run.id, {
+      ...previousApplied,
+      productsChanged: updatedVariants.filter((variants) => variants.length > 0).length,
+      variantsChanged: updatedVariants.reduce((sum, variants) => sum + variants.length, 0),
+      errors: errors.map((e) => e.message),
+      logs: debugLogs,
+      cancelled,
+    });
+
+    if (cancelled) {
+      return {
+        runId: run.id,
+        success: false,
+        message: `Run cancelled after ${processed.length} of ${updates.length} products`,
+        debugLogs,
+      };
+    }
+
+    if (errors.length > 0) {
+      return {
+        runId: run.id,
+        success: false,
+        message: `Error updating prices: ${errors.map((e) => e.message).join(", ")}`,
+        debugLogs,
+      };
+    }
+
+    return {
+      runId: run.id,
+      success: true,
+      message: "Product prices updated successfully",
+      debugLogs,
+    };
+  } catch (error) {
+    const errorMsg = `Update error: ${error.message}`;
+    debugLogs.push(errorMsg);
+    await recordPriceRunChanges(run.id, changes);
+    await finishPriceRun(run.id, {
+      productsChanged: new Set(changes.map((change) => change.productId)).size,
+      variantsChanged: changes.length,
+      errors: [error.message],
+      logs: debugLogs,
+    });
+    return { runId: run.id, success: false, message: error.message, debugLogs };
+  }
+}
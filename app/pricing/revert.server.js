@@ -0,0 +1,104 @@
+import { PRODUCT_CHUNK_SIZE, processInChunks } from "./chunks.server";
+import { PRICE_BREAKUP_KEY } from "./breakup.server";
+import { deleteMetafields, setMetafieldsInBulk, updateProductVariants } from "./mutations.server";
+
+// Types of the metafields a run writes, for setting them back
+const METAFIELD_TYPES = {
+  diamond_price: "number_decimal",
+  [PRICE_BREAKUP_KEY]: "json",
+  tax_breakdown: "json",
+};
+
+// Only the tax breakdown belongs to the product; the rest are the variant's
+const PRODUCT_METAFIELD_KEYS = ["tax_breakdown"];
+
+const parsePreviousMetafields = (value) => {
+  if (!value) return {};
+  try {
+    return JSON.parse(value) || {};
+  } catch (e) {
+    return {};
+  }
+};
+
+/**
+ * The metafields to set back, and those to delete because the run created them, for the
+ * changes whose prices were put back. A product's tax breakdown is restored once.
+ * @param {Array<object>} changes PriceRunChange rows
+ * @param {Set<string>} revertedIds Variants whose prices were put back
+ */
+export function previousMetafieldWrites(changes, revertedIds) {
+  const set = [];
+  const remove = [];
+  const restoredProducts = new Set();
+
+  for (const change of changes) {
+    if (!revertedIds.has(change.variantId)) continue;
+
+    for (const [key, value] of Object.entries(parsePreviousMetafields(change.previousMetafields))) {
+      if (!METAFIELD_TYPES[key]) continue;
+      const ownerId = PRODUCT_METAFIELD_KEYS.includes(key) ? change.productId : change.variantId;
+      if (ownerId === change.productId) {
+        if (restoredProducts.has(ownerId)) continue;
+        restoredProducts.add(ownerId);
+      }
+
+      const identifier = { ownerId, namespace: "custom", key };
+      if (value === null) {
+        remove.push(identifier);
+      } else {
+        set.push({ ...identifier, value, type: METAFIELD_TYPES[key] });
+      }
+    }
+  }
+
+  return { set, remove };
+}
+
+/**
+ * Put every variant a run changed back to the price and compare-at price it had before,
+ * along with the diamond price, price breakup and tax breakdown metafields the run wrote.
+ * @param {object} admin The Admin API context
+ * @param {Array<object>} changes The run's PriceRunChange rows
+ * @returns {Promise<{ variantsReverted: number, errors: string[] }>}
+ */
+export async function revertPriceRunChanges(admin, changes) {
+  const byProduct = new Map();
+  for (const change of changes) {
+    if (change.previousPrice === null) continue;
+    if (!byProduct.has(change.productId)) byProduct.set(change.productId, []);
+    byProduct.get(change.productId).push({
+      id: change.variantId,
+      price: change.previousPrice,
+      compareAtPrice: change.previousCompareAtPrice,
+    });
+  }
+
+  const results = await processInChunks(
+    [...byProduct.entries()],
+    PRODUCT_CHUNK_SIZE,
+    ([productId, variants]) => updateProductVariants(admin, productId, variants)
+  );
+  const revertedIds = new Set(
+    results.flatMap((result) =>
+      (result.data.productVariantsBulkUpdate.productVariants || []).map((variant) => variant.id)
+    )
+  );
+
+  // Metafields are only put back for variants whose price was
+  const metafields = previousMetafieldWrites(changes, revertedIds);
+  const metafieldErrors = [
+    ...(await setMetafieldsInBulk(admin, metafields.set)),
+    ...(await deleteMetafields(admin, metafields.remove)),
+  ];
+
+  return {
+    variantsReverted: revertedIds.size,
+    errors: [
+      ...results.flatMap((result) =>
+        result.data.productVariantsBulkUpdate.userErrors.map((e) => e.message)
+      ),
+      ...metafieldErrors,
+    ],
+  };
+}
@@ -0,0 +1,56 @@
+import { describe, expect, it } from "vitest";
+import { previousMetafieldWrites } from "./revert.server";
+
+const change = (variantId, previousMetafields) => ({
+  productId: "p1",
+  variantId,
+  previousMetafields: previousMetafields && JSON.stringify(previousMetafields),
+});
+
+describe("previousMetafieldWrites", () => {
+  it("sets back the values a run replaced and deletes the ones it created", () => {
+    const { set, remove } = previousMetafieldWrites(
+      [
+        change("v1", { diamond_price: "1200.00", price_breakup: null, tax_breakdown: "{}" }),
+        change("v2", {
+          diamond_price: null,
+          price_breakup: '{"price":"9.00"}',
+          tax_breakdown: "{}",
+        }),
+      ],
+      new Set(["v1", "v2"])
+    );
+
+    expect(set).toEqual([
+      {
+        ownerId: "v1",
+        namespace: "custom",
+        key: "diamond_price",
+        value: "1200.00",
+        type: "number_decimal",
+      },
+      { ownerId: "p1", namespace: "custom", key: "tax_breakdown", value: "{}", type: "json" },
+      {
+        ownerId: "v2",
+        namespace: "custom",
+        key: "price_breakup",
+        value: '{"price":"9.00"}',
+        type: "json",
+      },
+    ]);
+    expect(remove).toEqual([
+      { ownerId: "v1", namespace: "custom", key: "price_breakup" },
+      { ownerId: "v2", namespace: "custom", key: "diamond_price" },
+    ]);
+  });
+
+  it("leaves variants whose price was not put back, and runs that kept no values", () => {
+    const { set, remove } = previousMetafieldWrites(
+      [change("v1", { diamond_price: "1200.00" }), change("v2", null)],
+      new Set(["v2"])
+    );
+
+    expect(set).toEqual([]);
+    expect(remove).toEqual([]);
+  });
+});
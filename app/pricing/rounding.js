@@ -0,0 +1,140 @@
+// Rounding of the final price written to Shopify, after GST. Shops pick a default
+// strategy and can override it per collection. Kept free of server imports so the
+// settings page can use it.
+
+export const ROUNDING_STRATEGIES = {
+  none: "No rounding (to the paisa)",
+  nearest: "To the nearest",
+  up: "Always up to the next",
+  ending: "Up to a price ending in",
+};
+
+export const DEFAULT_ROUNDING = {
+  default: { strategy: "none", step: 1, ending: "" },
+  collections: [],
+};
+
+const normaliseRule = (rule) => ({
+  strategy: rule?.strategy || "none",
+  step: parseFloat(rule?.step) || 0,
+  ending: String(rule?.ending || "").trim(),
+});
+
+/**
+ * Coerce rounding settings submitted from the settings form into the stored shape.
+ * @param {object} rounding `{ default: rule, collections: [{ title, collectionId, ...rule }] }`
+ */
+export function normaliseRounding(rounding) {
+  return {
+    default: normaliseRule(rounding?.default),
+    collections: (rounding?.collections || []).map((rule) => ({
+      title: String(rule.title || "").trim(),
+      collectionId: rule.collectionId || null,
+      ...normaliseRule(rule),
+    })),
+  };
+}
+
+const ruleError = (rule) => {
+  if (!ROUNDING_STRATEGIES[rule.strategy]) {
+    return "Unknown rounding strategy";
+  }
+  if ((rule.strategy === "nearest" || rule.strategy === "up") && !(rule.step > 0)) {
+    return "Rounding needs an amount greater than zero, e.g. 10";
+  }
+  if (rule.strategy === "ending" && !/^\d+$/.test(rule.ending)) {
+    return "Price endings must be digits, e.g. 999";
+  }
+  return null;
+};
+
+/**
+ * Returns a map of field name to error message, or null when the settings are valid.
+ * Collection rules must also have been matched to a collection.
+ */
+export function validateRounding(rounding) {
+  const errors = {};
+
+  const defaultError = ruleError(rounding.default);
+  if (defaultError) {
+    errors.rounding = defaultError;
+  } else {
+    for (const rule of rounding.collections) {
+      if (!rule.collectionId) {
+        errors.rounding = `No collection named "${rule.title}"`;
+      } else {
+        const error = ruleError(rule);
+        if (error) errors.rounding = `${rule.title}: ${error}`;
+      }
+      if (errors.rounding) break;
+    }
+  }
+
+  if (Object.keys(errors).length) {
+    return errors;
+  }
+
+  return null;
+}
+
+/**
+ * The rule for a product: the first collection rule for a collection it belongs to,
+ * otherwise the shop's default.
+ * @param {object} product A product node with `collections` edges
+ * @param {object} rounding Rounding settings, e.g. DEFAULT_ROUNDING
+ */
+export function findRoundingRule(product, rounding) {
+  const collectionIds = new Set(
+    (product.collections?.edges || []).map(({ node }) => node.id)
+  );
+
+  return (
+    rounding.collections.find((rule) => collectionIds.has(rule.collectionId)) ||
+    rounding.default
+  );
+}
+
+// Rounding to the paisa, which also clears float noise, e.g. 3 * 0.1 = 0.30000000000000004
+const toPaisa = (amount) => Math.round(amount * 100) / 100;
+
+// How many steps make up a price, without float noise pushing a whole number of steps over
+// it, e.g. 1.1 / 0.1 = 11.000000000000002
+const stepsIn = (price, step) => Math.round((price / step) * 1e9) / 1e9;
+
+/**
+ * Round a price by a rule.
+ * @param {number} price The unrounded price
+ * @param {object} rule `{ strategy, step, ending }`
+ * @returns {number}
+ */
+export function applyRounding(price, rule) {
+  switch (rule.strategy) {
+    case "nearest":
+      return toPaisa(Math.round(stepsIn(price, rule.step)) * rule.step);
+    case "up":
+      return toPaisa(Math.ceil(stepsIn(price, rule.step)) * rule.step);
+    case "ending": {
+      // The smallest price at or above this one ending in the digits, e.g. 83,417 -> 83,999
+      const base = 10 ** rule.ending.length;
+      const candidate = Math.floor(price / base) * base + Number(rule.ending);
+      return candidate >= price ? candidate : candidate + base;
+    }
+    default:
+      return toPaisa(price);
+  }
+}
+
+/**
+ * Describe a rule for logs, e.g. "up to the next 10".
+ */
+export function describeRoundingRule(rule) {
+  switch (rule.strategy) {
+    case "nearest":
+    case "up":
+      return `${ROUNDING_STRATEGIES[rule.strategy].toLowerCase()} ${rule.step}`;
+    case "ending":
+      return `${ROUNDING_STRATEGIES.ending.toLowerCase()} ${rule.ending}`;
+    default:
+      return ROUNDING_STRATEGIES.none.toLowerCase();
+  }
+}
@@ -0,0 +1,57 @@
+import { describe, expect, it } from "vitest";
+import { applyRounding, findRoundingRule } from "./rounding";
+
+const rule = (strategy, { step = 0, ending = "" } = {}) => ({ strategy, step, ending });
+
+describe("applyRounding", () => {
+  it("rounds to the paisa with no strategy", () => {
+    expect(applyRounding(83417.456, rule("none"))).toBe(83417.46);
+  });
+
+  it("rounds to the nearest step", () => {
+    expect(applyRounding(83417, rule("nearest", { step: 10 }))).toBe(83420);
+    expect(applyRounding(83414.99, rule("nearest", { step: 10 }))).toBe(83410);
+  });
+
+  it("rounds up to the next step", () => {
+    expect(applyRounding(83411, rule("up", { step: 10 }))).toBe(83420);
+    expect(applyRounding(83420, rule("up", { step: 10 }))).toBe(83420);
+  });
+
+  it("leaves no float noise with a fractional step", () => {
+    expect(applyRounding(0.29, rule("nearest", { step: 0.1 }))).toBe(0.3);
+    expect(applyRounding(0.21, rule("up", { step: 0.1 }))).toBe(0.3);
+    expect(applyRounding(1.1, rule("up", { step: 0.1 }))).toBe(1.1);
+  });
+
+  it("rounds up to the next price ending in the digits", () => {
+    expect(applyRounding(83417, rule("ending", { ending: "999" }))).toBe(83999);
+    expect(applyRounding(83999, rule("ending", { ending: "999" }))).toBe(83999);
+  });
+
+  it("wraps round to the next block when the price is past the ending", () => {
+    expect(applyRounding(83417, rule("ending", { ending: "99" }))).toBe(83499);
+    expect(applyRounding(83999.5, rule("ending", { ending: "999" }))).toBe(84999);
+  });
+});
+
+describe("findRoundingRule", () => {
+  const rounding = {
+    default: rule("up", { step: 10 }),
+    collections: [
+      { title: "Rings", collectionId: "c1", ...rule("ending", { ending: "999" }) },
+      { title: "Sale", collectionId: "c2", ...rule("nearest", { step: 100 }) },
+    ],
+  };
+  const product = (...ids) => ({
+    collections: { edges: ids.map((id) => ({ node: { id } })) },
+  });
+
+  it("uses the first collection rule the product belongs to", () => {
+    expect(findRoundingRule(product("c2", "c1"), rounding).title).toBe("Rings");
+  });
+
+  it("falls back to the default outside those collections", () => {
+    expect(findRoundingRule(product("c3"), rounding)).toBe(rounding.default);
+  });
+});
@@ -0,0 +1,7 @@
+// Product fields a scope rule can match, with the labels shown in settings
+export const SCOPE_FIELDS = {
+  collection: "Collection",
+  tag: "Tag",
+  vendor: "Vendor",
+  product_type: "Product type",
+};
@@ -0,0 +1,130 @@
+// Product scope rules, applied twice: as a search query so Shopify only returns
+// products in scope, and as a check on each product before its prices are written,
+// since products fetched by ID are not filtered by the search.
+
+const SEARCH_FIELDS = {
+  tag: "tag",
+  vendor: "vendor",
+  product_type: "product_type",
+};
+
+// "gid://shopify/Collection/123" -> "123"
+const numericId = (gid) => gid.split("/").pop();
+
+const quote = (value) => `"${value.replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+
+const searchTerm = (rule) =>
+  rule.field === "collection"
+    ? `collection_id:${numericId(rule.collectionId)}`
+    : `${SEARCH_FIELDS[rule.field]}:${quote(rule.value)}`;
+
+/**
+ * Build the Shopify product search query for the scope: active products matching at
+ * least one include rule per field, and no exclude rule.
+ * @param {Array<object>} scope Rules from getScopeRules()
+ * @param {object} [options]
+ * @param {Array<string>} [options.statuses] Product statuses to include instead of
+ *   only ACTIVE, e.g. for the catalogue audit
+ * @returns {string} e.g. `status:ACTIVE AND (collection_id:123) AND NOT tag:"fixed-price"`
+ */
+export function buildScopeQuery(scope = [], { statuses = ["ACTIVE"] } = {}) {
+  const terms = [
+    statuses.length === 1
+      ? `status:${statuses[0]}`
+      : `(${statuses.map((status) => `status:${status}`).join(" OR ")})`,
+  ];
+
+  const includes = scope.filter((rule) => !rule.exclude);
+  for (const field of new Set(includes.map((rule) => rule.field))) {
+    const alternatives = includes.filter((rule) => rule.field === field).map(searchTerm);
+    terms.push(`(${alternatives.join(" OR ")})`);
+  }
+
+  for (const rule of scope.filter((rule) => rule.exclude)) {
+    terms.push(`NOT ${searchTerm(rule)}`);
+  }
+
+  return terms.join(" AND ");
+}
+
+const ruleMatches = (product, rule) => {
+  const value = rule.value.toLowerCase();
+  switch (rule.field) {
+    case "collection":
+      return (product.collections?.edges || []).some(
+        ({ node }) => node.id === rule.collectionId
+      );
+    case "tag":
+      return (product.tags || []).some((tag) => tag.toLowerCase() === value);
+    case "vendor":
+      return (product.vendor || "").toLowerCase() === value;
+    case "product_type":
+      return (product.productType || "").toLowerCase() === value;
+    default:
+      return false;
+  }
+};
+
+/**
+ * Check a fetched product against the scope, with the same logic as buildScopeQuery().
+ * @param {object} product A product node with tags, vendor, productType and collections
+ * @param {Array<object>} scope Rules from getScopeRules()
+ */
+export function matchesScope(product, scope = []) {
+  const includes = scope.filter((rule) => !rule.exclude);
+  const fields = new Set(includes.map((rule) => rule.field));
+
+  for (const field of fields) {
+    const rules = includes.filter((rule) => rule.field === field);
+    if (!rules.some((rule) => ruleMatches(product, rule))) return false;
+  }
+
+  return !scope.some((rule) => rule.exclude && ruleMatches(product, rule));
+}
+
+/**
+ * Find a collection by its title or handle.
+ * @param {object} admin The Admin API context
+ * @param {string} name A collection title or handle, matched case-insensitively
+ * @returns {Promise<string|null>} The collection's GID, or null if there is none
+ */
+export async function findCollectionId(admin, name) {
+  const response = await admin.graphql(
+    `#graphql
+      query findCollection($query: String!) {
+        collections(first: 5, query: $query) {
+          edges {
+            node {
+              id
+              title
+              handle
+            }
+          }
+        }
+      }
+    `,
+    { variables: { query: `title:${quote(name)} OR handle:${quote(name)}` } }
+  );
+  const { data } = await response.json();
+  const value = name.toLowerCase();
+  const collection = data.collections.edges
+    .map(({ node }) => node)
+    .find((node) => node.title.toLowerCase() === value || node.handle === value);
+
+  return collection?.id || null;
+}
+
+/**
+ * Look up the collection each collection rule names, by title or handle.
+ * Rules whose collection cannot be found keep a null `collectionId`.
+ * @param {object} admin The Admin API context
+ * @param {Array<object>} scope Normalised rules
+ */
+export async function resolveScopeCollections(admin, scope) {
+  return Promise.all(
+    scope.map(async (rule) => {
+      if (rule.field !== "collection") return { ...rule, collectionId: null };
+      return { ...rule, collectionId: await findCollectionId(admin, rule.value) };
+    })
+  );
+}
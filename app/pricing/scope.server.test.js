@@ -0,0 +1,17 @@
+import { describe, expect, it } from "vitest";
+import { buildScopeQuery } from "./scope.server";
+
+describe("buildScopeQuery", () => {
+  it("only searches active products by default", () => {
+    expect(buildScopeQuery([{ field: "tag", value: "gold", exclude: false }])).toBe(
+      'status:ACTIVE AND (tag:"gold")'
+    );
+  });
+
+  it("searches any of the given statuses, as the catalogue audit does", () => {
+    expect(buildScopeQuery([], { statuses: ["ACTIVE", "DRAFT", "ARCHIVED"] })).toBe(
+      "(status:ACTIVE OR status:DRAFT OR status:ARCHIVED)"
+    );
+    expect(buildScopeQuery([], { statuses: ["DRAFT"] })).toBe("status:DRAFT");
+  });
+});
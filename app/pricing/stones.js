@@ -0,0 +1,158 @@
+// The diamonds and gemstones set in a product, and their prices. Stones come from the
+// "custom.stones" JSON metafield, a list of `{ type, clarity, colour, carat, count }`
+// where carat is the total weight of the line, or from the older "custom.diamond_1..3"
+// and "custom.diamond_weight_1..3" keys. A variant with any of them set has its own
+// stones instead of its product's, e.g. for ring sizes set with bigger stones. Kept free
+// of server imports so the home page can use it.
+import { getMetafieldValue, getNumericMetafieldValue } from "./metafields";
+
+// The older keys hold at most this many lines
+const LEGACY_STONE_LINES = 3;
+
+const trimmed = (value) => (value === null || value === undefined ? "" : String(value).trim());
+
+/**
+ * Whether a product or variant has any stone metafields set.
+ * @param {Array<object>} metafields Its metafield edges
+ */
+export function hasStones(metafields) {
+  if (getMetafieldValue(metafields, "stones")) return true;
+
+  for (let line = 1; line <= LEGACY_STONE_LINES; line++) {
+    if (
+      getMetafieldValue(metafields, `diamond_${line}`) ||
+      getMetafieldValue(metafields, `diamond_weight_${line}`)
+    ) {
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * The metafields a variant's stones are read from: its own when it has any stone
+ * metafields, in either format, or else its product's. The two are never mixed, so a
+ * variant with the older keys is not given its product's stones metafield.
+ * @param {Array<object>} variantMetafields The variant's metafield edges
+ * @param {Array<object>} productMetafields Its product's metafield edges
+ */
+export function stoneMetafields(variantMetafields, productMetafields) {
+  return hasStones(variantMetafields) ? variantMetafields : productMetafields;
+}
+
+/**
+ * Read the stone lines of a product or variant. The stones metafield, when set, replaces
+ * the older keys.
+ * @param {Array<object>} metafields Metafield edges
+ * @returns {{ stones: Array<{ type: string, clarity: string, colour: string, carat: number, count: number }>, error: string|null }}
+ *   `error` says why the stones metafield could not be read; no stones are returned then
+ */
+export function readStones(metafields) {
+  const value = getMetafieldValue(metafields, "stones");
+
+  if (value) {
+    let parsed;
+    try {
+      parsed = JSON.parse(value);
+    } catch (e) {
+      return { stones: [], error: "custom.stones is not valid JSON" };
+    }
+    if (!Array.isArray(parsed)) {
+      return { stones: [], error: "custom.stones must be a list" };
+    }
+
+    return {
+      stones: parsed
+        .map((stone) => ({
+          type: trimmed(stone?.type),
+          clarity: trimmed(stone?.clarity),
+          colour: trimmed(stone?.colour ?? stone?.color),
+          carat: parseFloat(stone?.carat) || 0,
+          count: parseInt(stone?.count, 10) || 1,
+        }))
+        .filter((stone) => stone.type),
+      error: null,
+    };
+  }
+
+  const stones = [];
+  for (let line = 1; line <= LEGACY_STONE_LINES; line++) {
+    const type = trimmed(getMetafieldValue(metafields, `diamond_${line}`));
+    if (!type) continue;
+    stones.push({
+      type,
+      clarity: "",
+      colour: "",
+      carat: getNumericMetafieldValue(metafields, `diamond_weight_${line}`),
+      count: 1,
+    });
+  }
+  return { stones, error: null };
+}
+
+/**
+ * The rate for a stone: the rate table row with its type and, where the row gives them,
+ * its clarity and colour. Rows giving more of them win, so "Round VS1 G" can be priced
+ * apart from other round stones.
+ * @param {Array<object>} stoneRates `{ type, clarity, colour, rate }` rows; a blank clarity
+ *   or colour matches any
+ * @param {object} stone A line from readStones()
+ * @returns {object|undefined} The matching row
+ */
+export function findStoneRate(stoneRates, stone) {
+  const matches = (rowValue, stoneValue) =>
+    !rowValue || rowValue.toLowerCase() === stoneValue.toLowerCase();
+  const specificity = (row) => Number(Boolean(row.clarity)) + Number(Boolean(row.colour));
+
+  return stoneRates
+    .filter(
+      (row) =>
+        row.type.toLowerCase() === stone.type.toLowerCase() &&
+        matches(row.clarity, stone.clarity) &&
+        matches(row.colour, stone.colour)
+    )
+    .sort((a, b) => specificity(b) - specificity(a))[0];
+}
+
+/**
+ * Describe a stone line for logs and the storefront, e.g. "Round VS1 G × 12".
+ */
+export function describeStone(stone) {
+  const name = [stone.type, stone.clarity, stone.colour].filter(Boolean).join(" ");
+  return stone.count > 1 ? `${name} × ${stone.count}` : name;
+}
+
+/**
+ * Price each stone line at its rate per carat.
+ * @param {Array<object>} stones From readStones()
+ * @param {Array<object>} stoneRates The shop's rate table
+ * @returns {{ lines: Array<object>, misses: Array<object>, total: number }} Each line with
+ *   its `rate` and `value`; `misses` are the lines no rate was found for, priced at zero
+ */
+export function priceStones(stones, stoneRates) {
+  const lines = stones.map((stone) => {
+    const row = findStoneRate(stoneRates, stone);
+    const rate = row ? row.rate : 0;
+    return { ...stone, rate, value: rate * stone.carat, missing: !row };
+  });
+
+  return {
+    lines,
+    misses: lines.filter((line) => line.missing),
+    total: lines.reduce((sum, line) => sum + line.value, 0),
+  };
+}
+
+/**
+ * Rate table rows from a map of stone type to rate, as diamond prices were saved
+ * before the rate table had clarity and colour.
+ * @param {Record<string, number>} prices
+ */
+export function stoneRatesFromPrices(prices) {
+  return Object.entries(prices).map(([type, rate]) => ({
+    type,
+    clarity: "",
+    colour: "",
+    rate: parseFloat(rate) || 0,
+  }));
+}
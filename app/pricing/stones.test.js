@@ -0,0 +1,45 @@
+import { describe, expect, it } from "vitest";
+import { priceStones, readStones, stoneMetafields } from "./stones";
+
+const metafields = (values) =>
+  Object.entries(values).map(([key, value]) => ({
+    node: { id: key, namespace: "custom", key, value },
+  }));
+
+const stoneRates = [
+  { type: "Round", clarity: "", colour: "", rate: 50000 },
+  { type: "Ruby", clarity: "", colour: "", rate: 8000 },
+];
+
+describe("stoneMetafields", () => {
+  const product = metafields({
+    stones: JSON.stringify([{ type: "Round", carat: 0.5, count: 10 }]),
+  });
+
+  it("reads a variant's older stone keys without its product's stones metafield", () => {
+    const variant = metafields({ diamond_1: "Ruby", diamond_weight_1: "0.25" });
+
+    const { stones } = readStones(stoneMetafields(variant, product));
+
+    expect(stones).toEqual([{ type: "Ruby", clarity: "", colour: "", carat: 0.25, count: 1 }]);
+    expect(priceStones(stones, stoneRates).total).toBe(2000);
+  });
+
+  it("reads a variant's stones metafield over its product's", () => {
+    const variant = metafields({ stones: JSON.stringify([{ type: "Ruby", carat: 1 }]) });
+
+    const { stones } = readStones(stoneMetafields(variant, product));
+
+    expect(stones.map((stone) => stone.type)).toEqual(["Ruby"]);
+  });
+
+  it("falls back to the product's stones when the variant has none", () => {
+    const variant = metafields({ weight: "4.2" });
+
+    const { stones } = readStones(stoneMetafields(variant, product));
+
+    expect(stones).toEqual([
+      { type: "Round", clarity: "", colour: "", carat: 0.5, count: 10 },
+    ]);
+  });
+});
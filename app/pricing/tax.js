@@ -0,0 +1,80 @@
+// GST charged on each part of a price at its own rate, e.g. 3% on metal and stones
+// and 5% on making charges. Kept free of server imports so the settings page can use it.
+
+// Formula components that tax can apply to, with the labels shown in settings
+export const TAXABLE_COMPONENTS = {
+  metal: "Metal value",
+  diamonds: "Diamonds and stones",
+  making: "Making charges",
+  fee: "Fixed fees",
+  markup: "Markup",
+};
+
+export const DEFAULT_TAX_RATES = {
+  metal: 3,
+  diamonds: 3,
+  making: 5,
+  fee: 18,
+  markup: 3,
+};
+
+/**
+ * Coerce submitted rates into numbers, keeping only known components.
+ */
+export function normaliseTaxRates(taxRates) {
+  return Object.fromEntries(
+    Object.keys(TAXABLE_COMPONENTS).map((type) => [type, parseFloat(taxRates?.[type]) || 0])
+  );
+}
+
+/**
+ * Returns a map of field name to error message, or null when the rates are valid.
+ */
+export function validateTaxRates(taxRates) {
+  const invalid = Object.entries(taxRates).find(
+    ([, rate]) => isNaN(rate) || rate < 0 || rate > 100
+  );
+  if (invalid) {
+    return { taxRates: `${TAXABLE_COMPONENTS[invalid[0]]} tax must be between 0 and 100%` };
+  }
+
+  return null;
+}
+
+/**
+ * Work out the tax on each line of a formula breakup.
+ * @param {Array<{ type: string, label: string, amount: number }>} lines From evaluateFormula()
+ * @param {object} taxRates Percent per component type, e.g. DEFAULT_TAX_RATES
+ * @returns {{ components: Array<{ type: string, label: string, amount: number, rate: number, tax: number }>, total: number }}
+ *   Only lines with a tax rate are listed
+ */
+export function calculateTax(lines, taxRates) {
+  const components = lines
+    .filter((line) => taxRates[line.type] > 0)
+    .map((line) => ({
+      type: line.type,
+      label: line.label,
+      amount: line.amount,
+      rate: taxRates[line.type],
+      tax: (line.amount * taxRates[line.type]) / 100,
+    }));
+
+  return {
+    components,
+    total: components.reduce((sum, component) => sum + component.tax, 0),
+  };
+}
+
+/**
+ * Total a formula breakup with its tax, which is only added when prices include it.
+ * @param {Array<{ type: string, label: string, amount: number }>} lines From evaluateFormula()
+ * @param {{ inclusive: boolean, rates: object }|null} taxSettings Null for no tax
+ * @returns {{ tax: object|null, total: number }} `tax` as calculateTax() returns it
+ */
+export function totalWithTax(lines, taxSettings) {
+  const total = lines.reduce((sum, line) => sum + line.amount, 0);
+  if (!taxSettings) return { tax: null, total };
+
+  const tax = calculateTax(lines, taxSettings.rates);
+  return { tax, total: taxSettings.inclusive ? total + tax.total : total };
+}
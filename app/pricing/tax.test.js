@@ -0,0 +1,55 @@
+import { describe, expect, it } from "vitest";
+import { DEFAULT_TAX_RATES, calculateTax, totalWithTax } from "./tax";
+
+const lines = [
+  { type: "metal", label: "Metal value", amount: 70000 },
+  { type: "making", label: "Making charges", amount: 5000 },
+  { type: "diamonds", label: "Diamond value", amount: 20000 },
+];
+
+describe("calculateTax", () => {
+  it("charges each component at its own rate", () => {
+    const { components, total } = calculateTax(lines, DEFAULT_TAX_RATES);
+
+    expect(components).toEqual([
+      { type: "metal", label: "Metal value", amount: 70000, rate: 3, tax: 2100 },
+      { type: "making", label: "Making charges", amount: 5000, rate: 5, tax: 250 },
+      { type: "diamonds", label: "Diamond value", amount: 20000, rate: 3, tax: 600 },
+    ]);
+    expect(total).toBe(2950);
+  });
+
+  it("leaves out components with a zero rate", () => {
+    const { components, total } = calculateTax(lines, { ...DEFAULT_TAX_RATES, making: 0 });
+
+    expect(components.map((component) => component.type)).toEqual(["metal", "diamonds"]);
+    expect(total).toBe(2700);
+  });
+
+  it("charges nothing when every rate is zero", () => {
+    expect(calculateTax(lines, { metal: 0, diamonds: 0, making: 0 })).toEqual({
+      components: [],
+      total: 0,
+    });
+  });
+});
+
+describe("totalWithTax", () => {
+  it("adds the tax when prices include it", () => {
+    const { tax, total } = totalWithTax(lines, { inclusive: true, rates: DEFAULT_TAX_RATES });
+
+    expect(tax.total).toBe(2950);
+    expect(total).toBe(97950);
+  });
+
+  it("works out the tax but leaves it off when prices exclude it", () => {
+    const { tax, total } = totalWithTax(lines, { inclusive: false, rates: DEFAULT_TAX_RATES });
+
+    expect(tax.total).toBe(2950);
+    expect(total).toBe(95000);
+  });
+
+  it("totals the lines alone without tax settings", () => {
+    expect(totalWithTax(lines, null)).toEqual({ tax: null, total: 95000 });
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Decide whether a scheduled run should write prices at `rate`, given the shop's
+ * thresholds and the last rate applied.
+ * @param {object} config The shop's pricing config
+ * @param {number} rate The current 24k rate per gram
+ * @returns {{ shouldRun: boolean, reason: string }}
+ */
+export function checkRateThreshold(config, rate) {
+  const { thresholdEnabled, thresholdPercent, thresholdAmount, lastAppliedRate } = config;
+
+  if (!thresholdEnabled) {
+    return { shouldRun: true, reason: "No rate-change threshold set" };
+  }
+  if (!lastAppliedRate) {
+    return { shouldRun: true, reason: "No rate has been applied yet" };
+  }
+
+  const change = Math.abs(rate - lastAppliedRate);
+  const changePercent = (change / lastAppliedRate) * 100;
+  const movement = `Rate moved ₹${change.toFixed(2)} (${changePercent.toFixed(2)}%) from ₹${lastAppliedRate.toFixed(2)} to ₹${rate.toFixed(2)}`;
+
+  if (thresholdPercent && changePercent > thresholdPercent) {
+    return { shouldRun: true, reason: `${movement}, more than ${thresholdPercent}%` };
+  }
+  if (thresholdAmount && change > thresholdAmount) {
+    return { shouldRun: true, reason: `${movement}, more than ₹${thresholdAmount}` };
+  }
+
+  const limits = [
+    thresholdPercent && `${thresholdPercent}%`,
+    thresholdAmount && `₹${thresholdAmount}`,
+  ].filter(Boolean);
+  return { shouldRun: false, reason: `${movement}, within the ${limits.join(" / ")} threshold` };
+}
@@ -0,0 +1,32 @@
+import { METALS } from "../pricing/metals";
+
+// goldapi.io adapter. Needs GOLDAPI_KEY; GOLD_RATE_CURRENCY defaults to INR.
+// Silver and platinum are quoted as XAG and XPT.
+export const goldApiProvider = {
+  name: "goldapi",
+  appliesMarkup: true,
+
+  async fetchRate({ metal = "gold" }) {
+    const apiKey = process.env.GOLDAPI_KEY;
+    if (!apiKey) {
+      throw new Error("GOLDAPI_KEY is not set");
+    }
+
+    const currency = process.env.GOLD_RATE_CURRENCY || "INR";
+    const response = await fetch(`https://www.goldapi.io/api/${METALS[metal].symbol}/${currency}`, {
+      headers: {
+        "x-access-token": apiKey,
+        "Content-Type": "application/json",
+      },
+    });
+    if (!response.ok) {
+      throw new Error(`goldapi.io responded with ${response.status}`);
+    }
+
+    const data = await response.json();
+    return {
+      pricePerGram: data.price_gram_24k,
+      fetchedAt: data.timestamp ? new Date(data.timestamp * 1000) : new Date(),
+    };
+  },
+};
@@ -0,0 +1,43 @@
+const GRAMS_PER_TROY_OUNCE = 31.1034768;
+
+// Reads a dotted path such as "data.rates.gold" out of a JSON document
+const readPath = (data, path) =>
+  path.split(".").reduce((value, key) => (value == null ? value : value[key]), data);
+
+/**
+ * Generic adapter for any JSON endpoint that publishes a 24k rate.
+ * GOLD_RATE_JSON_URL is fetched and GOLD_RATE_JSON_PATH picks the number out of
+ * the response. Set GOLD_RATE_JSON_UNIT to "ounce" if the feed quotes per troy ounce.
+ * Silver and platinum rates are read from SILVER_RATE_JSON_PATH and
+ * PLATINUM_RATE_JSON_PATH, in the same feed unless SILVER_RATE_JSON_URL or
+ * PLATINUM_RATE_JSON_URL is set.
+ */
+export const jsonUrlProvider = {
+  name: "json-url",
+  appliesMarkup: true,
+
+  async fetchRate({ metal = "gold" }) {
+    const prefix = metal.toUpperCase();
+    const url = process.env[`${prefix}_RATE_JSON_URL`] || process.env.GOLD_RATE_JSON_URL;
+    const path = process.env[`${prefix}_RATE_JSON_PATH`];
+    if (!url || !path) {
+      throw new Error(`GOLD_RATE_JSON_URL and ${prefix}_RATE_JSON_PATH must be set`);
+    }
+
+    const response = await fetch(url, { headers: { Accept: "application/json" } });
+    if (!response.ok) {
+      throw new Error(`${url} responded with ${response.status}`);
+    }
+
+    const value = parseFloat(readPath(await response.json(), path));
+    if (isNaN(value)) {
+      throw new Error(`No numeric rate found at "${path}"`);
+    }
+
+    return {
+      pricePerGram:
+        process.env.GOLD_RATE_JSON_UNIT === "ounce" ? value / GRAMS_PER_TROY_OUNCE : value,
+      fetchedAt: new Date(),
+    };
+  },
+};
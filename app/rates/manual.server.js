@@ -0,0 +1,12 @@
+// Uses the rates last entered on the home page; no markup is added to them.
+export const manualProvider = {
+  name: "manual",
+  appliesMarkup: false,
+
+  async fetchRate({ config, metal = "gold" }) {
+    return {
+      pricePerGram: config[`${metal}Rate`],
+      fetchedAt: config.manualRateUpdatedAt ? new Date(config.manualRateUpdatedAt) : new Date(),
+    };
+  },
+};
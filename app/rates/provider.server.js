@@ -0,0 +1,93 @@
+import { goldApiProvider } from "./goldapi.server";
+import { jsonUrlProvider } from "./json-url.server";
+import { manualProvider } from "./manual.server";
+import { stubProvider } from "./stub.server";
+import { OTHER_METALS } from "../pricing/metals";
+
+const providers = {
+  [goldApiProvider.name]: goldApiProvider,
+  [jsonUrlProvider.name]: jsonUrlProvider,
+  [manualProvider.name]: manualProvider,
+  [stubProvider.name]: stubProvider,
+};
+
+/**
+ * Pick the adapter named by GOLD_RATE_PROVIDER. Without it, goldapi.io is used
+ * when a key is configured and the manually entered rate otherwise.
+ */
+export function getRateProvider() {
+  const name =
+    process.env.GOLD_RATE_PROVIDER || (process.env.GOLDAPI_KEY ? "goldapi" : "manual");
+  const provider = providers[name];
+
+  if (!provider) {
+    throw new Error(
+      `Unknown GOLD_RATE_PROVIDER "${name}". Use one of: ${Object.keys(providers).join(", ")}`
+    );
+  }
+
+  return provider;
+}
+
+/**
+ * Fetch the rate per gram of a pure metal from the configured provider and add the
+ * shop's markup.
+ * @param {object} config The shop's pricing config from getPricingConfig()
+ * @param {string} [metal] gold, silver or platinum
+ * @returns {Promise<{ metal: string, rate: number, marketRate: number, markupPercent: number, source: string, fetchedAt: Date }>}
+ */
+export async function fetchMetalRate(config, metal = "gold") {
+  const provider = getRateProvider();
+  const { pricePerGram, fetchedAt } = await provider.fetchRate({ config, metal });
+
+  if (typeof pricePerGram !== "number" || isNaN(pricePerGram) || pricePerGram <= 0) {
+    throw new Error(`The ${provider.name} provider returned an invalid ${metal} rate`);
+  }
+
+  const markupPercent = provider.appliesMarkup ? config.rateMarkupPercent : 0;
+
+  return {
+    metal,
+    rate: pricePerGram * (1 + markupPercent / 100),
+    marketRate: pricePerGram,
+    markupPercent,
+    source: provider.name,
+    fetchedAt,
+  };
+}
+
+/**
+ * Fetch the 24k gold rate per gram. See fetchMetalRate().
+ */
+export async function fetchGoldRate(config) {
+  return fetchMetalRate(config, "gold");
+}
+
+/**
+ * Fetch the silver and platinum rates. A metal the provider cannot quote falls back
+ * to the rate saved on the Home page, with the reason in `error`.
+ * @param {object} config The shop's pricing config from getPricingConfig()
+ * @returns {Promise<object>} fetchMetalRate() results keyed by metal
+ */
+export async function fetchOtherMetalRates(config) {
+  const results = await Promise.all(
+    OTHER_METALS.map(async (metal) => {
+      try {
+        return await fetchMetalRate(config, metal);
+      } catch (error) {
+        const saved = await manualProvider.fetchRate({ config, metal });
+        return {
+          metal,
+          rate: saved.pricePerGram,
+          marketRate: saved.pricePerGram,
+          markupPercent: 0,
+          source: manualProvider.name,
+          fetchedAt: saved.fetchedAt,
+          error: error.message,
+        };
+      }
+    })
+  );
+
+  return Object.fromEntries(results.map((result) => [result.metal, result]));
+}
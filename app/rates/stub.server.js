@@ -0,0 +1,17 @@
+// Fixed rates for local development and tests, so nothing calls out to the network.
+// Override the values with GOLD_RATE_STUB_VALUE, SILVER_RATE_STUB_VALUE and
+// PLATINUM_RATE_STUB_VALUE.
+const DEFAULT_VALUES = { gold: 7000, silver: 90, platinum: 3000 };
+
+export const stubProvider = {
+  name: "stub",
+  appliesMarkup: true,
+
+  async fetchRate({ metal = "gold" }) {
+    return {
+      pricePerGram:
+        parseFloat(process.env[`${metal.toUpperCase()}_RATE_STUB_VALUE`]) || DEFAULT_VALUES[metal],
+      fetchedAt: new Date(),
+    };
+  },
+};
@@ -1,5 +1,5 @@
 import { useEffect, useState } from "react";
-import { useFetcher } from "@remix-run/react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
 import {
   Page,
   Layout,
@@ -12,150 +12,147 @@ import {
   ResourceItem,
   TextField,
   Banner,
+  Badge,
+  Checkbox,
+  IndexTable,
+  useIndexResourceState,
+  ProgressBar,
 } from "@shopify/polaris";
 import { TitleBar } from "@shopify/app-bridge-react";
 import { authenticate } from "../shopify.server";
-
-// 1) LOADER: Fetch up to 2000 active products using pagination
+import { createGraphqlClient } from "../graphql.server";
+import {
+  getPricingConfig,
+  getTaxSettings,
+  savePricingConfig,
+  validatePricingConfig,
+} from "../models/pricing-config.server";
+import { getMetalRules } from "../models/metal-rules.server";
+import { getScopeRules } from "../models/product-scope.server";
+import { getAttributeMapping } from "../models/variant-attributes.server";
+import { getDiscountRules } from "../models/discount-rule.server";
+import {
+  getStoneRates,
+  normaliseStoneRates,
+  saveStoneRates,
+  validateStoneRates,
+} from "../models/stone-rate.server";
+import {
+  getPriceOverrides,
+  savePriceOverride,
+  validatePriceOverride,
+} from "../models/price-override.server";
+import { applyPriceOverrides } from "../pricing/overrides.server";
+import { calculateProductPrices, toPreviewRows } from "../pricing/calculate.server";
+import { getMetafieldValue } from "../pricing/metafields";
+import { formatAmount } from "../utils/format";
+import { METALS, OTHER_METALS } from "../pricing/metals";
+import { describeUser, enqueuePriceRun } from "../models/price-run.server";
+import { resolveRateSnapshot } from "../models/rate-snapshot.server";
+import { fetchCatalogue } from "../pricing/catalogue.server";
+import { parseJsonFields } from "../utils/form";
+
+// 1) LOADER: Load the shop's saved rates, or fetch every active product in the shop's
+//    product scope with a bulk query, along with the shop's locks and fixed prices
 export const loader = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session } = await authenticate.admin(request);
 
   if (
     request.method === "GET" &&
     new URL(request.url).searchParams.get("action") === "getProducts"
   ) {
-    let products = [];
-    let cursor = null;
-    const maxProducts = 2000;
-
-    do {
-      const response = await admin.graphql(
-        `#graphql
-          query ($cursor: String) {
-            products(first: 250, after: $cursor, query: "status:ACTIVE") {
-              edges {
-                node {
-                  id
-                  title
-                  status
-                  handle
-                  metafields(first: 15) {
-                    edges {
-                      node {
-                        namespace
-                        key
-                        value
-                      }
-                    }
-                  }
-                  variants(first: 36) {
-                    edges {
-                      node {
-                        id
-                        title
-                        price
-                        compareAtPrice
-                        metafields(first: 10) {
-                          edges {
-                            node {
-                              namespace
-                              key
-                              value
-                            }
-                          }
-                        }
-                      }
-                    }
-                  }
-                }
-                cursor
-              }
-              pageInfo {
-                hasNextPage
-                endCursor
-              }
-            }
-          }
-        `,
-        {
-          variables: { cursor },
-        }
-      );
-
-      const responseJson = await response.json();
-      const { edges, pageInfo } = responseJson.data.products;
-      products = products.concat(edges.map((edge) => edge.node));
-      cursor = pageInfo.hasNextPage ? pageInfo.endCursor : null;
-    } while (cursor && products.length < maxProducts);
-
-    return {
-      products: products.slice(0, maxProducts),
-    };
+    // GraphQL retries are shown with the preview logs
+    const debugLogs = [];
+    try {
+      const client = createGraphqlClient(admin, { log: (line) => debugLogs.push(line) });
+      return {
+        products: await fetchCatalogue(client, { scope: await getScopeRules(session.shop) }),
+        overrides: await getPriceOverrides(session.shop),
+        debugLogs,
+      };
+    } catch (error) {
+      // A Response is an auth redirect, not a failed read
+      if (error instanceof Response) throw error;
+      return { success: false, message: `Could not load products: ${error.message}`, debugLogs };
+    }
   }
-  return null;
+
+  return {
+    config: await getPricingConfig(session.shop),
+    stoneRates: await getStoneRates(session.shop),
+  };
 };
 
 // 2) HELPER FUNCTIONS
-const getMetafieldValue = (metafields, key) => {
-  if (!metafields || !Array.isArray(metafields)) return null;
-  const metafield = metafields.find(
-    (m) => m.node.key === key && m.node.namespace === "custom"
-  );
-  return metafield ? metafield.node.value : null;
-};
+// Save the rates without touching any products
+const saveConfig = async (shop, formData) => {
+  const config = {
+    goldRate: parseFloat(formData.get("price")),
+    silverRate: parseFloat(formData.get("silverRate")),
+    platinumRate: parseFloat(formData.get("platinumRate")),
+    makingCharges: parseFloat(formData.get("makingCharges")) || 0,
+  };
+  const { values, error } = parseJsonFields(formData, ["stoneRates"]);
+  if (error) {
+    return { intent: "saveConfig", success: false, message: error };
+  }
+  const stoneRates = normaliseStoneRates(values.stoneRates);
 
-const getNumericMetafieldValue = (metafields, key) => {
-  const val = getMetafieldValue(metafields, key);
-  if (val === null || val === undefined) return 0;
-  const trimmed = String(val).trim();
-  try {
-    if (trimmed.startsWith("{") || trimmed.startsWith("[")) {
-      const parsed = JSON.parse(trimmed);
-      if (parsed && typeof parsed === "object" && parsed.value !== undefined) {
-        return parseFloat(parsed.value) || 0;
-      }
-    }
-  } catch (e) {
-    // If parsing fails, fallback to parseFloat
+  const errors = { ...validatePricingConfig(config), ...validateStoneRates(stoneRates) };
+  if (Object.keys(errors).length) {
+    return {
+      intent: "saveConfig",
+      success: false,
+      message: Object.values(errors).join(", "),
+    };
   }
 
-  // Allow values like "2.5%" by stripping '%' if present
-  const numericOnly = trimmed.replace("%", "");
-  const parsedFloat = parseFloat(numericOnly);
-  return isNaN(parsedFloat) ? 0 : parsedFloat;
+  await savePricingConfig(shop, config);
+  await saveStoneRates(shop, stoneRates);
+  return { intent: "saveConfig", success: true, message: "Rates saved" };
 };
 
-/**
- * Helper to process an array in chunks, running each chunk in parallel,
- * but waiting for one chunk to finish before starting the next.
- * @param {Array} array The items to process
- * @param {number} chunkSize How many items to process in parallel
- * @param {Function} callback An async function that takes an item and returns a promise
- */
-async function processInChunks(array, chunkSize, callback) {
-  let results = [];
-
-  for (let i = 0; i < array.length; i += chunkSize) {
-    const chunk = array.slice(i, i + chunkSize);
-
-    // Process this chunk in parallel
-    const chunkResults = await Promise.all(
-      chunk.map((item) => callback(item))
-    );
+// Lock or unlock a product or variant, or set or clear a variant's fixed price
+const saveOverride = async (shop, formData) => {
+  const override = {
+    productId: formData.get("productId"),
+    variantId: formData.get("variantId") || null,
+    locked: formData.get("locked") === "true",
+    fixedPrice: formData.get("fixedPrice") ? parseFloat(formData.get("fixedPrice")) : null,
+  };
 
-    // Collect results
-    results = results.concat(chunkResults.filter(Boolean));
+  const errors = validatePriceOverride(override);
+  if (errors) {
+    return {
+      intent: "saveOverride",
+      success: false,
+      message: Object.values(errors).join(", "),
+    };
   }
 
-  return results;
-}
+  await savePriceOverride(shop, override);
+  return {
+    intent: "saveOverride",
+    success: true,
+    message: "Override saved",
+    overrides: await getPriceOverrides(shop),
+  };
+};
 
-// 3) ACTION: Update product prices & metafields in chunks to avoid throttling
+// 3) ACTION: Save rates, preview new prices from products re-read from Shopify, or queue a run
+//    writing them for the background worker
 export const action = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
+  const { admin, session, sessionToken } = await authenticate.admin(request);
   const formData = await request.formData();
 
-  // Parse the gold price and making charges
+  if (formData.get("intent") === "saveConfig") {
+    return saveConfig(session.shop, formData);
+  }
+  if (formData.get("intent") === "saveOverride") {
+    return saveOverride(session.shop, formData);
+  }
+
+  // Parse the metal rates and making charges
   let price = parseFloat(formData.get("price"));
   const makingCharges = parseFloat(formData.get("makingCharges")) || 0;
   if (isNaN(price) || price <= 0) {
@@ -165,284 +162,328 @@ export const action = async ({ request }) => {
       debugLogs: ["Invalid gold price."],
     };
   }
-
-  const productData = JSON.parse(formData.get("productData"));
-  const diamondPrices = JSON.parse(formData.get("diamondPrices"));
-
-  // We'll collect debug logs and return them for display
-  const debugLogs = [];
-
-  // Multipliers for gold karat
-  const priceMap = {
-    "24k": 1,
-    "22k": 0.925,
-    "18k": 0.76,
-    "14k": 0.6,
-    "9k": 0.385,
+  const metalRates = {
+    silver: parseFloat(formData.get("silverRate")),
+    platinum: parseFloat(formData.get("platinumRate")),
   };
+  const invalidMetal = Object.keys(metalRates).find(
+    (metal) => isNaN(metalRates[metal]) || metalRates[metal] <= 0
+  );
+  if (invalidMetal) {
+    return {
+      success: false,
+      message: `Invalid ${invalidMetal} price provided.`,
+      debugLogs: [`Invalid ${invalidMetal} price.`],
+    };
+  }
 
-  // Only allow these three colors
-  const allowedColors = ["yellow gold", "rose gold", "white gold"];
-
-  try {
-    // Process products in chunks of 5 (you can adjust chunkSize to reduce/increase concurrency)
-    const chunkSize = 5;
-
-    const results = await processInChunks(productData, chunkSize, async (product) => {
-      const metafields = product.metafields.edges;
-
-      // Retrieve diamond types and weights from product metafields
-      let diamondType_1 = getMetafieldValue(metafields, "diamond_1");
-      let diamondType_2 = getMetafieldValue(metafields, "diamond_2");
-      let diamondType_3 = getMetafieldValue(metafields, "diamond_3");
-      if (typeof diamondType_1 === "string") diamondType_1 = diamondType_1.trim();
-      if (typeof diamondType_2 === "string") diamondType_2 = diamondType_2.trim();
-      if (typeof diamondType_3 === "string") diamondType_3 = diamondType_3.trim();
-
-      const diamondWeight_1 = getNumericMetafieldValue(metafields, "diamond_weight_1");
-      const diamondWeight_2 = getNumericMetafieldValue(metafields, "diamond_weight_2");
-      const diamondWeight_3 = getNumericMetafieldValue(metafields, "diamond_weight_3");
-
-      const selectedDiamonds = [
-        { type: diamondType_1, weight: diamondWeight_1 },
-        { type: diamondType_2, weight: diamondWeight_2 },
-        { type: diamondType_3, weight: diamondWeight_3 },
-      ].filter((item) => item.type);
-
-      // Compute total diamond price
-      let totalDiamondPrice = 0;
-      if (selectedDiamonds.length > 0) {
-        totalDiamondPrice = selectedDiamonds.reduce((sum, diamond) => {
-          const typeNormalized = (diamond.type || "").trim();
-          const perUnit = diamondPrices[typeNormalized] || 0;
-          return sum + perUnit * diamond.weight;
-        }, 0);
-      }
-      debugLogs.push(`Product: ${product.title} — totalDiamondPrice: ${totalDiamondPrice}`);
-
-      // Process variants
-      const variants = product.variants.edges
-        .filter((edge) => {
-          const titleLower = (edge.node.title || "").toLowerCase();
-          return allowedColors.some((color) => titleLower.includes(color));
-        })
-        .filter((edge) =>
-          Object.keys(priceMap).some((k) => (edge.node.title || "").toLowerCase().includes(k))
-        )
-        .map((edge) => {
-          let variantLog = `Variant: "${edge.node.title}"`;
-
-          // Identify the karat from the variant title
-          const karatKey = Object.keys(priceMap).find((k) =>
-            (edge.node.title || "").toLowerCase().includes(k)
-          );
-
-          // Retrieve the variant's "gold weight" from its metafields
-          const variantMetafields = edge.node.metafields.edges;
-          const weight = getNumericMetafieldValue(variantMetafields, "weight");
-          if (!weight) {
-            variantLog += " | Warning: weight is missing or zero";
-          } else {
-            variantLog += ` | Weight: ${weight}`;
-          }
-
-          // New: check for wastage_percentage metafield (variant-level)
-          const wastagePercent = getNumericMetafieldValue(variantMetafields, "wastage_percentage");
-
-          // Calculate gold price for this variant (per weight + karat multiplier)
-          const karatMultiplier = priceMap[karatKey] || 0;
-          const goldPriceForWeight = price * karatMultiplier * weight;
-
-          // If wastagePercent is present and > 0, ignore makingCharges and apply wastage percentage
-          let goldAndMakingCost = 0;
-          if (wastagePercent && !isNaN(wastagePercent) && parseFloat(wastagePercent) > 0) {
-            const wastageMultiplier = 1 + parseFloat(wastagePercent) / 100;
-            goldAndMakingCost = goldPriceForWeight * wastageMultiplier;
-            variantLog += ` | Using wastage%: ${wastagePercent}% -> GoldWithWastage: ${goldAndMakingCost.toFixed(2)}`;
-          } else {
-            // fallback to original making charge logic (making charges are per-gram)
-            const makingChargesForWeight = weight > 0 ? makingCharges * weight : 0;
-            goldAndMakingCost = goldPriceForWeight + makingChargesForWeight;
-            variantLog += ` | Gold: ${goldPriceForWeight.toFixed(2)} | MakingCharges: ${makingChargesForWeight.toFixed(2)} -> Gold+Making: ${goldAndMakingCost.toFixed(2)}`;
-          }
-
-          // No discounts — compareAtPrice is full price before any promotional reductions
-          let compareAtPrice = goldAndMakingCost + totalDiamondPrice;
-
-          // Use full diamond cost (no discount)
-          const discountedDiamondCost = totalDiamondPrice;
-
-          const updatedPrice = goldAndMakingCost + discountedDiamondCost;
-          variantLog += ` | Diamond: ${discountedDiamondCost.toFixed(2)} | Final: ${updatedPrice.toFixed(2)} | CompareAtPrice: ${compareAtPrice.toFixed(2)}`;
-          debugLogs.push(variantLog);
-
-          return {
-            id: edge.node.id,
-            price: String(updatedPrice.toFixed(2)),
-            compareAtPrice: String(compareAtPrice.toFixed(2)),
-          };
-        });
-
-      if (variants.length === 0) {
-        debugLogs.push(`No recognized variants for product "${product.title}".`);
-        return null;
-      }
-
-      // Update product variants
-      const response = await admin.graphql(
-        `#graphql
-          mutation productVariantsBulkUpdate($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
-            productVariantsBulkUpdate(productId: $productId, variants: $variants) {
-              product {
-                id
-              }
-              productVariants {
-                id
-                price
-                compareAtPrice
-              }
-              userErrors {
-                field
-                message
-              }
-            }
-          }
-        `,
-        {
-          variables: {
-            productId: product.id,
-            variants: variants,
-          },
-        }
-      );
-
-      // Update the product metafield "custom.diamond_price"
-      const metafieldResponse = await admin.graphql(
-        `#graphql
-          mutation metafieldsSet($metafields: [MetafieldsSetInput!]!) {
-            metafieldsSet(metafields: $metafields) {
-              metafields {
-                id
-                key
-                value
-              }
-              userErrors {
-                field
-                message
-              }
-            }
-          }
-        `,
-        {
-          variables: {
-            metafields: [
-              {
-                ownerId: product.id,
-                namespace: "custom",
-                key: "diamond_price",
-                value: totalDiamondPrice.toFixed(2),
-                type: "number_decimal",
-              },
-            ],
-          },
-        }
-      );
-      const metafieldResult = await metafieldResponse.json();
-      if (
-        metafieldResult.data.metafieldsSet.userErrors &&
-        metafieldResult.data.metafieldsSet.userErrors.length > 0
-      ) {
-        debugLogs.push(
-          `Error updating metafield diamond_price for product "${product.title}": ${metafieldResult.data.metafieldsSet.userErrors
-            .map((e) => e.message)
-            .join(", ")}`
-        );
-      }
-
-      return response.json();
-    });
+  // The rows left selected in a preview, and their products, come with the stone rates
+  const committing = Boolean(formData.get("selectedVariantIds"));
+  const { values, error } = parseJsonFields(
+    formData,
+    committing ? ["stoneRates", "selectedVariantIds", "productIds"] : ["stoneRates"]
+  );
+  if (error) {
+    return { success: false, message: error, debugLogs: [error] };
+  }
 
-    // Collect userErrors from all chunk updates
-    const errors = results
-      .flatMap((result) => (result ? result.data.productVariantsBulkUpdate.userErrors : []))
-      .filter((error) => error);
+  const stoneRates = normaliseStoneRates(values.stoneRates);
+  const stoneRateErrors = validateStoneRates(stoneRates);
+  if (stoneRateErrors) {
+    return {
+      success: false,
+      message: stoneRateErrors.stoneRates,
+      debugLogs: [stoneRateErrors.stoneRates],
+    };
+  }
+  const isPreview = formData.get("intent") === "preview";
+
+  // When committing a preview, only the rows left selected are written
+  const selectedVariantIds = committing ? new Set(values.selectedVariantIds) : null;
+
+  // Karat multipliers, recognised colours, where variants keep them, the product scope,
+  // the price formula, GST, rounding and discounts, as configured on the settings and
+  // variant attributes pages
+  const { karats, colours } = await getMetalRules(session.shop);
+  const attributeMapping = await getAttributeMapping(session.shop);
+  const scope = await getScopeRules(session.shop);
+  const discounts = await getDiscountRules(session.shop);
+  const config = await getPricingConfig(session.shop);
+  const { formula, rounding, scheduleTimezone: timeZone, skipFlaggedVariants } = config;
+  const tax = getTaxSettings(config);
+  const rates = {
+    goldRate: price,
+    metalRates,
+    makingCharges,
+    stoneRates,
+    karats,
+    colours,
+    attributeMapping,
+    formula,
+    tax,
+    rounding,
+    discounts,
+    timeZone,
+    skipFlaggedVariants,
+  };
 
-    if (errors.length > 0) {
+  // Dry run: calculate every price from the catalogue as Shopify has it, but write nothing
+  if (isPreview) {
+    const debugLogs = [];
+    const client = createGraphqlClient(admin, { log: (line) => debugLogs.push(line) });
+    let productData;
+    try {
+      productData = await fetchCatalogue(client, { scope });
+    } catch (error) {
+      if (error instanceof Response) throw error;
       return {
+        intent: "preview",
         success: false,
-        message: `Error updating prices: ${errors.map((e) => e.message).join(", ")}`,
+        message: `Could not load products: ${error.message}`,
+        rows: null,
         debugLogs,
       };
     }
+    const overrides = await getPriceOverrides(session.shop);
+    const rows = productData.flatMap((product) => {
+      const { variants } = calculateProductPrices(product, rates, debugLogs);
+      return toPreviewRows(
+        product,
+        applyPriceOverrides(product, variants, overrides, debugLogs)
+      );
+    });
 
-    return { success: true, message: "Product prices updated successfully", debugLogs };
-  } catch (error) {
-    const errorMsg = `Update error: ${error.message}`;
-    debugLogs.push(errorMsg);
-    return { success: false, message: error.message, debugLogs };
+    return {
+      intent: "preview",
+      success: true,
+      message: `Previewing ${rows.length} variant price changes. Nothing has been written yet.`,
+      rows,
+      debugLogs,
+    };
   }
+
+  // Remember the rates used for this update so the next visit starts from them
+  await savePricingConfig(session.shop, {
+    goldRate: price,
+    silverRate: metalRates.silver,
+    platinumRate: metalRates.platinum,
+    makingCharges,
+  });
+  await saveStoneRates(session.shop, stoneRates);
+
+  // The worker re-reads the products owning the selected variants before writing
+  const rateSnapshot = await resolveRateSnapshot(session.shop, price);
+  const run = await enqueuePriceRun(session.shop, {
+    triggeredBy: describeUser(session, sessionToken),
+    goldRate: price,
+    makingCharges,
+    inputs: {
+      metalRates,
+      stoneRates,
+      karats,
+      colours,
+      attributeMapping,
+      formula,
+      tax,
+      rounding,
+      discounts,
+      timeZone,
+      skipFlaggedVariants,
+      selectedVariantIds: selectedVariantIds && [...selectedVariantIds],
+      productIds: selectedVariantIds && values.productIds,
+      scope,
+    },
+    rateSnapshotId: rateSnapshot.id,
+  });
+
+  return {
+    intent: "update",
+    success: true,
+    message: "Price update queued",
+    runId: run.id,
+  };
 };
 
+// Dry-run results; every row starts selected and can be deselected before applying
+function PreviewTable({ rows, onApply, applying }) {
+  const { selectedResources, allResourcesSelected, handleSelectionChange } =
+    useIndexResourceState(rows, { selectedResources: rows.map((row) => row.id) });
+
+  return (
+    <BlockStack gap="400">
+      <IndexTable
+        resourceName={{ singular: "variant", plural: "variants" }}
+        itemCount={rows.length}
+        selectedItemsCount={allResourcesSelected ? "All" : selectedResources.length}
+        onSelectionChange={handleSelectionChange}
+        headings={[
+          { title: "Product" },
+          { title: "Variant" },
+          { title: "Old price", alignment: "end" },
+          { title: "Before rounding", alignment: "end" },
+          { title: "New price", alignment: "end" },
+          { title: "Old compare-at", alignment: "end" },
+          { title: "New compare-at", alignment: "end" },
+          { title: "GST", alignment: "end" },
+          { title: "Change", alignment: "end" },
+        ]}
+      >
+        {rows.map((row, index) => (
+          <IndexTable.Row
+            id={row.id}
+            key={row.id}
+            position={index}
+            selected={selectedResources.includes(row.id)}
+          >
+            <IndexTable.Cell>{row.productTitle}</IndexTable.Cell>
+            <IndexTable.Cell>{row.variantTitle}</IndexTable.Cell>
+            <IndexTable.Cell>
+              <Text alignment="end">{formatAmount(row.oldPrice)}</Text>
+            </IndexTable.Cell>
+            <IndexTable.Cell>
+              <Text alignment="end" color="subdued">
+                {formatAmount(row.unroundedPrice)}
+              </Text>
+            </IndexTable.Cell>
+            <IndexTable.Cell>
+              <Text alignment="end">{formatAmount(row.newPrice)}</Text>
+            </IndexTable.Cell>
+            <IndexTable.Cell>
+              <Text alignment="end">{formatAmount(row.oldCompareAtPrice)}</Text>
+            </IndexTable.Cell>
+            <IndexTable.Cell>
+              <Text alignment="end">{formatAmount(row.newCompareAtPrice)}</Text>
+            </IndexTable.Cell>
+            <IndexTable.Cell>
+              <Text alignment="end">{formatAmount(row.tax)}</Text>
+            </IndexTable.Cell>
+            <IndexTable.Cell>
+              <Text
+                alignment="end"
+                tone={row.changePercent < 0 ? "critical" : undefined}
+              >
+                {row.changePercent === null ? "—" : `${row.changePercent.toFixed(2)}%`}
+              </Text>
+            </IndexTable.Cell>
+          </IndexTable.Row>
+        ))}
+      </IndexTable>
+      <InlineStack align="end">
+        <Button
+          variant="primary"
+          onClick={() => onApply(selectedResources)}
+          loading={applying}
+          disabled={selectedResources.length === 0}
+        >
+          {`Apply ${selectedResources.length} selected`}
+        </Button>
+      </InlineStack>
+    </BlockStack>
+  );
+}
+
+// Lock toggle and, for variants, a fixed price that replaces the calculated one
+function OverrideControls({ override, variant, onSave, saving }) {
+  const locked = Boolean(override?.locked);
+  const [fixedPrice, setFixedPrice] = useState(
+    override?.fixedPrice ? String(override.fixedPrice) : ""
+  );
+
+  return (
+    <InlineStack gap="300" blockAlign="end">
+      <Checkbox
+        label={variant ? "Lock variant" : "Lock product"}
+        helpText={locked ? "Skipped by every run" : undefined}
+        checked={locked}
+        onChange={(checked) =>
+          onSave({ locked: checked, fixedPrice: override?.fixedPrice ?? null })
+        }
+        disabled={saving}
+      />
+      {variant && (
+        <>
+          <TextField
+            label="Fixed price (₹)"
+            labelHidden
+            placeholder="Fixed price (₹)"
+            value={fixedPrice}
+            onChange={setFixedPrice}
+            autoComplete="off"
+            type="number"
+            disabled={locked}
+          />
+          <Button
+            onClick={() => onSave({ locked, fixedPrice: fixedPrice || null })}
+            disabled={locked || saving}
+          >
+            {fixedPrice ? "Set fixed price" : "Clear fixed price"}
+          </Button>
+        </>
+      )}
+    </InlineStack>
+  );
+}
+
 // 4) REACT COMPONENT: Show Banner on success/error instead of using alert()
 export default function Index() {
+  const { config, stoneRates: savedStoneRates } = useLoaderData();
   const fetcher = useFetcher();
+  const rateFetcher = useFetcher();
+  const bulkFetcher = useFetcher();
+  const jobFetcher = useFetcher();
+  const cancelFetcher = useFetcher();
+  const overrideFetcher = useFetcher();
 
   // Gold price & loading/error states
-  const [goldPrice, setGoldPrice] = useState(null);
   const [loading, setLoading] = useState(false);
-  const [error, setError] = useState(null);
+  const goldRate = rateFetcher.data?.goldRate;
+  const goldPrice = goldRate?.rate;
+  const fetchedMetalRates = rateFetcher.data?.metalRates;
+  const error = rateFetcher.data?.error;
+  const rateLoading = rateFetcher.state !== "idle";
 
   // Product data & loading states
   const [products, setProducts] = useState([]);
   const [productsLoading, setProductsLoading] = useState(false);
 
-  // Input fields
-  const [priceInput, setPriceInput] = useState("10500");
-  const [makingChargesInput, setMakingChargesInput] = useState("1500");
-  const [diamondPrices, setDiamondPrices] = useState({
-    "Round Solitaire 5ct+": 30000,
-    "Round Solitaire 3ct+": 30000,
-    "Round Solitaire 2ct+": 30000,
-    "Round Solitaire 0.50ct+": 30000,
-    "Fancy Solitaire 5ct+": 30000,
-    "Fancy Solitaire 3ct+": 30000,
-    "Fancy Solitaire 2ct+": 30000,
-    "Fancy Solitaire 0.5ct+": 30000,
-    "Small Diamonds": 20000,
-    "Gemstones": 15000,
+  // Locks and fixed prices, looked up by variant ID (or product ID for whole products)
+  const [overrides, setOverrides] = useState([]);
+  const overridesById = Object.fromEntries(
+    overrides.map((override) => [override.variantId || override.productId, override])
+  );
+
+  // Input fields, starting from the shop's last saved rates
+  const [priceInput, setPriceInput] = useState(String(config.goldRate));
+  const [metalInputs, setMetalInputs] = useState({
+    silver: String(config.silverRate),
+    platinum: String(config.platinumRate),
   });
+  const [makingChargesInput, setMakingChargesInput] = useState(
+    String(config.makingCharges)
+  );
+  const [stoneRates, setStoneRates] = useState(
+    savedStoneRates.map((row) => ({ ...row, rate: String(row.rate) }))
+  );
 
   // Debug logs
   const [debugLogs, setDebugLogs] = useState([]);
 
+  // Dry-run rows and the inputs they were calculated from
+  const [previewRows, setPreviewRows] = useState(null);
+  const [previewInputs, setPreviewInputs] = useState(null);
+  const [previewKey, setPreviewKey] = useState(0);
+
+  // The queued or running price update, polled for progress
+  const [activeRunId, setActiveRunId] = useState(null);
+  const job = jobFetcher.data?.id === activeRunId ? jobFetcher.data : null;
+
   // NEW: Banner message & status
   const [bannerMessage, setBannerMessage] = useState("");
   const [bannerStatus, setBannerStatus] = useState("info"); // "success", "critical", etc.
 
-  // Fetch gold price
-  const fetchGoldPrice = async () => {
-    setLoading(true);
-    setError(null);
-    try {
-      const apiKey = "goldapi-43irpsm4wlppn5-io"; // Replace with your actual API key
-      const response = await fetch("https://www.goldapi.io/api/XAU/INR", {
-        headers: {
-          "x-access-token": apiKey,
-          "Content-Type": "application/json",
-        },
-      });
-      if (!response.ok) {
-        throw new Error("Failed to fetch gold price");
-      }
-      const data = await response.json();
-      // Adjust the 24K price by a factor if needed
-      setGoldPrice(data.price_gram_24k + 0.05 * data.price_gram_24k);
-    } catch (err) {
-      setError(err.message);
-      console.error("Error fetching gold price:", err);
-    } finally {
-      setLoading(false);
-    }
+  // Fetch gold price from the server-side rate provider
+  const fetchGoldPrice = () => {
+    rateFetcher.load("/app/gold-rate");
   };
 
   // Fetch products
@@ -466,51 +507,168 @@ export default function Index() {
     return () => clearInterval(interval);
   }, []);
 
+  // While products are being read or written, poll the bulk operation for progress
+  const working = fetcher.state !== "idle";
+  const loadBulkStatus = bulkFetcher.load;
+  useEffect(() => {
+    if (!working) return;
+    const interval = setInterval(() => loadBulkStatus("/app/bulk-status"), 3000);
+    return () => clearInterval(interval);
+  }, [working, loadBulkStatus]);
+
+  const bulkOperation = [bulkFetcher.data?.query, bulkFetcher.data?.mutation]
+    .filter((operation) => operation && ["CREATED", "RUNNING"].includes(operation.status))
+    .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))[0];
+
   // Listen for fetcher data changes
   useEffect(() => {
     if (fetcher.data?.products) {
       // Loader data from GET
       setProducts(fetcher.data.products);
+      setOverrides(fetcher.data.overrides);
+      setDebugLogs(fetcher.data.debugLogs);
     } else if (fetcher.data?.message) {
       // Action response from POST
       setBannerMessage(fetcher.data.message);
       setBannerStatus(fetcher.data.success ? "success" : "critical");
 
-      if (fetcher.data.debugLogs) {
-        setDebugLogs(fetcher.data.debugLogs);
+      setDebugLogs(fetcher.data.debugLogs || []);
+      if (fetcher.data.intent === "preview") {
+        setPreviewRows(fetcher.data.rows);
+        setPreviewKey((key) => key + 1);
+        return;
       }
-      if (fetcher.data.success) {
-        // If update succeeded, re-fetch products to show new prices
-        fetchProducts();
+      if (fetcher.data.success && fetcher.data.intent === "update") {
+        setPreviewRows(null);
+        setActiveRunId(fetcher.data.runId);
       }
     }
   }, [fetcher.data]);
 
+  // Poll the queued run until the worker finishes it
+  const loadJob = jobFetcher.load;
+  useEffect(() => {
+    if (!activeRunId) return;
+    loadJob(`/app/jobs/${activeRunId}`);
+    const interval = setInterval(() => loadJob(`/app/jobs/${activeRunId}`), 2000);
+    return () => clearInterval(interval);
+  }, [activeRunId, loadJob]);
+
+  useEffect(() => {
+    if (!job || ["queued", "running"].includes(job.status)) return;
+    setActiveRunId(null);
+    setBannerMessage(
+      job.status === "success"
+        ? "Product prices updated successfully"
+        : job.status === "cancelled"
+          ? `Run cancelled after ${job.processedCount} products`
+          : `Error updating prices: ${job.errors.join(", ")}`
+    );
+    setBannerStatus(job.status === "success" ? "success" : "critical");
+    // Re-fetch products to show new prices
+    fetchProducts();
+  }, [job]);
+
+  useEffect(() => {
+    if (overrideFetcher.data?.overrides) {
+      setOverrides(overrideFetcher.data.overrides);
+    } else if (overrideFetcher.data?.message) {
+      setBannerMessage(overrideFetcher.data.message);
+      setBannerStatus("critical");
+    }
+  }, [overrideFetcher.data]);
+
+  const handleSaveOverride = (productId, variantId, { locked, fixedPrice }) => {
+    overrideFetcher.submit(
+      {
+        intent: "saveOverride",
+        productId,
+        variantId: variantId || "",
+        locked: String(locked),
+        fixedPrice: fixedPrice === null ? "" : String(fixedPrice),
+      },
+      { method: "POST" }
+    );
+  };
+
+  const handleCancelRun = () => {
+    cancelFetcher.submit({}, { method: "POST", action: `/app/jobs/${activeRunId}` });
+  };
+
   // Handlers for input changes
   const handlePriceChange = (value) => setPriceInput(value);
-  const handleMakingChargesChange = (value) => setMakingChargesInput(value);
-  const handleDiamondPriceChange = (type, value) => {
-    setDiamondPrices((prevPrices) => ({
-      ...prevPrices,
-      [type]: parseFloat(value) || 0,
+  const handleMetalRateChange = (metal, value) =>
+    setMetalInputs((prev) => ({ ...prev, [metal]: value }));
+  const handleUseFetchedRates = () => {
+    setPriceInput(goldPrice.toFixed(2));
+    setMetalInputs((prev) => ({
+      ...prev,
+      ...Object.fromEntries(
+        OTHER_METALS.filter((metal) => fetchedMetalRates?.[metal]).map((metal) => [
+          metal,
+          fetchedMetalRates[metal].rate.toFixed(2),
+        ])
+      ),
     }));
   };
+  const handleMakingChargesChange = (value) => setMakingChargesInput(value);
+  const handleStoneRateChange = (index, field, value) => {
+    setStoneRates((prev) => prev.map((row, i) => (i === index ? { ...row, [field]: value } : row)));
+  };
+  const handleAddStoneRate = () =>
+    setStoneRates((prev) => [...prev, { type: "", clarity: "", colour: "", rate: "" }]);
+  const handleRemoveStoneRate = (index) =>
+    setStoneRates((prev) => prev.filter((_, i) => i !== index));
+
+  // Button to save the rates for next time
+  const handleSaveClick = () => {
+    fetcher.submit(
+      {
+        intent: "saveConfig",
+        price: priceInput,
+        silverRate: metalInputs.silver,
+        platinumRate: metalInputs.platinum,
+        makingCharges: makingChargesInput,
+        stoneRates: JSON.stringify(stoneRates),
+      },
+      { method: "POST" }
+    );
+  };
 
-  // Button to start update
+  // Button to preview the update; nothing is written until the preview is applied
   const handleButtonClick = async () => {
     if (!priceInput || isNaN(priceInput) || parseFloat(priceInput) <= 0) {
       setBannerMessage("Please enter a valid gold price");
       setBannerStatus("critical");
       return;
     }
+    const inputs = {
+      price: priceInput,
+      silverRate: metalInputs.silver,
+      platinumRate: metalInputs.platinum,
+      makingCharges: makingChargesInput,
+      stoneRates: JSON.stringify(stoneRates),
+    };
+    setPreviewInputs(inputs);
+    fetcher.submit({ intent: "preview", ...inputs }, { method: "POST" });
+  };
+
+  // Apply the previewed prices for the selected variants, using the previewed rates
+  const handleApply = async (selectedVariantIds) => {
     setLoading(true);
     try {
       fetcher.submit(
         {
-          price: priceInput,
-          makingCharges: makingChargesInput,
-          diamondPrices: JSON.stringify(diamondPrices),
-          productData: JSON.stringify(products),
+          intent: "update",
+          ...previewInputs,
+          selectedVariantIds: JSON.stringify(selectedVariantIds),
+          productIds: JSON.stringify([
+            ...new Set(
+              previewRows
+                .filter((row) => selectedVariantIds.includes(row.id))
+                .map((row) => row.productId)
+            ),
+          ]),
         },
         { method: "POST" }
       );
@@ -540,8 +698,52 @@ export default function Index() {
               </Banner>
             </Card>
           )}
+          {working && bulkOperation && (
+            <Card>
+              <Text color="subdued">
+                {bulkOperation.id === bulkFetcher.data.query?.id
+                  ? "Reading catalogue"
+                  : "Writing prices"}
+                : {Number(bulkOperation.objectCount).toLocaleString("en-IN")} objects processed
+              </Text>
+            </Card>
+          )}
         </Layout.Section>
 
+        {/* SECTION: Progress of the queued or running price update */}
+        {activeRunId && (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <InlineStack align="space-between" blockAlign="center">
+                  <Text variant="headingMd">
+                    {job?.status === "running" ? "Updating prices" : "Waiting to start"}
+                  </Text>
+                  <Button
+                    tone="critical"
+                    onClick={handleCancelRun}
+                    loading={cancelFetcher.state !== "idle"}
+                    disabled={job?.cancelRequested}
+                  >
+                    {job?.cancelRequested ? "Cancelling..." : "Cancel run"}
+                  </Button>
+                </InlineStack>
+                <ProgressBar
+                  progress={
+                    job?.totalCount ? (job.processedCount / job.totalCount) * 100 : 0
+                  }
+                />
+                {job?.totalCount !== null && job?.totalCount !== undefined && (
+                  <Text color="subdued">
+                    {job.processedCount} processed · {job.failedCount} failed ·{" "}
+                    {job.remainingCount} remaining of {job.totalCount} products
+                  </Text>
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        )}
+
         {/* SECTION: Gold price & update controls */}
         <Layout.Section variant="oneHalf">
           <Card padding="1600">
@@ -549,13 +751,13 @@ export default function Index() {
               <Text variant="headingLg" alignment="center">
                 Current Gold Price (24K)
               </Text>
-              {loading && <Text alignment="center">Loading gold price...</Text>}
+              {rateLoading && <Text alignment="center">Loading gold price...</Text>}
               {error && (
                 <Text alignment="center" color="critical">
                   Error: {error}
                 </Text>
               )}
-              {goldPrice && !loading && !error && (
+              {goldPrice && !rateLoading && !error && (
                 <BlockStack gap="200">
                   <Text variant="heading2xl" alignment="center">
                     ₹
@@ -567,12 +769,28 @@ export default function Index() {
                   <Text variant="bodySm" alignment="center">
                     per gram
                   </Text>
+                  <Text variant="bodySm" alignment="center" color="subdued">
+                    {goldRate.source} rate
+                    {goldRate.markupPercent ? ` + ${goldRate.markupPercent}% markup` : ""}, as of{" "}
+                    {new Date(goldRate.fetchedAt).toLocaleString("en-IN")}
+                  </Text>
+                  {OTHER_METALS.filter((metal) => fetchedMetalRates?.[metal]).map((metal) => (
+                    <Text key={metal} variant="bodySm" alignment="center" color="subdued">
+                      {METALS[metal].label}: {formatAmount(fetchedMetalRates[metal].rate)}/g
+                      {fetchedMetalRates[metal].error
+                        ? ` (saved rate; ${fetchedMetalRates[metal].error})`
+                        : ""}
+                    </Text>
+                  ))}
                 </BlockStack>
               )}
               <InlineStack gap="300" align="center">
-                <Button onClick={fetchGoldPrice} loading={loading} disabled={loading}>
+                <Button onClick={fetchGoldPrice} loading={rateLoading} disabled={rateLoading}>
                   Refresh Price
                 </Button>
+                <Button onClick={handleUseFetchedRates} disabled={!goldPrice || rateLoading}>
+                  Use This Rate
+                </Button>
               </InlineStack>
               <BlockStack gap="400" alignment="center">
                 <InlineStack gap="300" align="center">
@@ -583,6 +801,16 @@ export default function Index() {
                     autoComplete="off"
                     type="number"
                   />
+                  {OTHER_METALS.map((metal) => (
+                    <TextField
+                      key={metal}
+                      label={`${METALS[metal].label} Price (₹/g)`}
+                      value={metalInputs[metal]}
+                      onChange={(value) => handleMetalRateChange(metal, value)}
+                      autoComplete="off"
+                      type="number"
+                    />
+                  ))}
                   <TextField
                     label="Making Charges (₹)"
                     value={makingChargesInput}
@@ -593,26 +821,98 @@ export default function Index() {
                 </InlineStack>
               </BlockStack>
               <BlockStack gap="400">
-                <Text variant="headingMd">Diamond Prices (₹)</Text>
-                {Object.entries(diamondPrices).map(([type, value]) => (
-                  <TextField
-                    key={type}
-                    label={type}
-                    value={value}
-                    onChange={(val) => handleDiamondPriceChange(type, val)}
-                    type="number"
-                  />
+                <Text variant="headingMd">Diamond and Gemstone Rates (₹ per carat)</Text>
+                <Text variant="bodySm" color="subdued">
+                  Each stone line on a product is priced at the row with its type and, if
+                  given, its clarity and colour. Leave clarity or colour blank to match any.
+                </Text>
+                {stoneRates.map((row, index) => (
+                  <InlineStack key={index} gap="300" blockAlign="end">
+                    <TextField
+                      label="Type"
+                      value={row.type}
+                      onChange={(value) => handleStoneRateChange(index, "type", value)}
+                      autoComplete="off"
+                    />
+                    <TextField
+                      label="Clarity"
+                      value={row.clarity}
+                      onChange={(value) => handleStoneRateChange(index, "clarity", value)}
+                      autoComplete="off"
+                    />
+                    <TextField
+                      label="Colour"
+                      value={row.colour}
+                      onChange={(value) => handleStoneRateChange(index, "colour", value)}
+                      autoComplete="off"
+                    />
+                    <TextField
+                      label="Rate (₹/ct)"
+                      value={row.rate}
+                      onChange={(value) => handleStoneRateChange(index, "rate", value)}
+                      autoComplete="off"
+                      type="number"
+                    />
+                    <Button tone="critical" onClick={() => handleRemoveStoneRate(index)}>
+                      Remove
+                    </Button>
+                  </InlineStack>
                 ))}
+                <InlineStack>
+                  <Button onClick={handleAddStoneRate}>Add stone rate</Button>
+                </InlineStack>
               </BlockStack>
               <InlineStack gap="300" align="center">
+                <Button onClick={handleSaveClick} loading={fetcher.state !== "idle"}>
+                  Save Rates
+                </Button>
                 <Button onClick={handleButtonClick} loading={loading} variant="primary">
-                  Update Prices
+                  Preview Changes
                 </Button>
               </InlineStack>
             </BlockStack>
           </Card>
         </Layout.Section>
 
+        {/* SECTION: Dry-run preview */}
+        {previewRows && (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingLg">Preview</Text>
+                <Text variant="bodySm" color="subdued">
+                  Calculated at ₹{previewInputs?.price}/g for gold, ₹
+                  {previewInputs?.silverRate}/g for silver and ₹
+                  {previewInputs?.platinumRate}/g for platinum. Deselect any rows that
+                  should keep their current price.
+                </Text>
+                <PreviewTable
+                  key={previewKey}
+                  rows={previewRows}
+                  onApply={handleApply}
+                  applying={fetcher.state === "submitting" || Boolean(activeRunId)}
+                />
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        )}
+
+        {/* SECTION: Debug logs */}
+        {debugLogs.length > 0 && (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="100">
+                <Text variant="headingMd">Log</Text>
+                {debugLogs.map((line, index) => (
+                  <Text key={index} variant="bodySm">
+                    {line}
+                  </Text>
+                ))}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        )}
+
         {/* SECTION: Product List */}
         <Layout.Section>
           <Card>
@@ -629,9 +929,17 @@ export default function Index() {
                       accessibilityLabel={`View details for ${product.title}`}
                     >
                       <BlockStack gap="200">
-                        <Text variant="h6" fontWeight="bold">
-                          {product.title}
-                        </Text>
+                        <InlineStack gap="200" blockAlign="center">
+                          <Text variant="h6" fontWeight="bold">
+                            {product.title}
+                          </Text>
+                          {overridesById[product.id]?.locked && <Badge>Locked</Badge>}
+                        </InlineStack>
+                        <OverrideControls
+                          override={overridesById[product.id]}
+                          onSave={(values) => handleSaveOverride(product.id, null, values)}
+                          saving={overrideFetcher.state !== "idle"}
+                        />
                         {product.metafields.edges
                           .filter((mEdge) => mEdge.node.namespace === "custom")
                           .map((mEdge, index) => (
@@ -641,9 +949,17 @@ export default function Index() {
                           ))}
                         {product.variants.edges.map((edge, idx) => (
                           <BlockStack key={idx} gap="1">
-                            <Text variant="bodyMd" fontWeight="bold">
-                              Variant: {edge.node.title || "No Title"}
-                            </Text>
+                            <InlineStack gap="200" blockAlign="center">
+                              <Text variant="bodyMd" fontWeight="bold">
+                                Variant: {edge.node.title || "No Title"}
+                              </Text>
+                              {overridesById[edge.node.id]?.locked && <Badge>Locked</Badge>}
+                              {overridesById[edge.node.id]?.fixedPrice && (
+                                <Badge tone="info">
+                                  {`Fixed ${formatAmount(overridesById[edge.node.id].fixedPrice)}`}
+                                </Badge>
+                              )}
+                            </InlineStack>
                             <Text variant="bodySm">
                               Price: ₹{edge.node.price || "N/A"}
                             </Text>
@@ -661,6 +977,14 @@ export default function Index() {
                               {getMetafieldValue(edge.node.metafields.edges, "wastage_percentage") ||
                                 "N/A"}
                             </Text>
+                            <OverrideControls
+                              variant
+                              override={overridesById[edge.node.id]}
+                              onSave={(values) =>
+                                handleSaveOverride(product.id, edge.node.id, values)
+                              }
+                              saving={overrideFetcher.state !== "idle"}
+                            />
                           </BlockStack>
                         ))}
                       </BlockStack>
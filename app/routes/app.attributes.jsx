@@ -0,0 +1,281 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  Button,
+  BlockStack,
+  InlineStack,
+  TextField,
+  Banner,
+  Select,
+  IndexTable,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { createGraphqlClient } from "../graphql.server";
+import { classifyVariant, getMetalRules } from "../models/metal-rules.server";
+import { getScopeRules } from "../models/product-scope.server";
+import {
+  getAttributeMapping,
+  normaliseAttributeMapping,
+  saveAttributeMapping,
+  validateAttributeMapping,
+} from "../models/variant-attributes.server";
+import { ATTRIBUTE_SOURCES, VARIANT_ATTRIBUTES } from "../pricing/attribute-fields";
+import { fetchCatalogue } from "../pricing/catalogue.server";
+import { parseJsonFields } from "../utils/form";
+
+const attributeOptions = Object.entries(VARIANT_ATTRIBUTES).map(([value, label]) => ({
+  label,
+  value,
+}));
+const sourceOptions = Object.entries(ATTRIBUTE_SOURCES).map(([value, label]) => ({
+  label,
+  value,
+}));
+
+// Load the shop's mapping, or classify every variant in the product scope with it and
+// report the ones that could not be
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const mapping = await getAttributeMapping(session.shop);
+
+  if (new URL(request.url).searchParams.get("action") === "report") {
+    const rules = await getMetalRules(session.shop);
+    // GraphQL retries are listed under the report
+    const debugLogs = [];
+    let products;
+    try {
+      products = await fetchCatalogue(
+        createGraphqlClient(admin, { log: (line) => debugLogs.push(line) }),
+        { scope: await getScopeRules(session.shop) }
+      );
+    } catch (error) {
+      // A Response is an auth redirect, not a failed read
+      if (error instanceof Response) throw error;
+      return { success: false, message: `Could not check variants: ${error.message}`, debugLogs };
+    }
+
+    const variants = products.flatMap((product) =>
+      product.variants.edges.map(({ node }) => ({ product, variant: node }))
+    );
+    const unclassified = variants
+      .map(({ product, variant }) => ({
+        id: variant.id,
+        productTitle: product.title,
+        variantTitle: variant.title,
+        options: (variant.selectedOptions || [])
+          .map((option) => `${option.name}: ${option.value}`)
+          .join(", "),
+        reason: classifyVariant(rules, mapping, variant).reason,
+      }))
+      .filter((row) => row.reason);
+
+    return { report: { checked: variants.length, unclassified }, debugLogs };
+  }
+
+  return { mapping };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  const { values, error } = parseJsonFields(formData, ["mapping"]);
+  if (error) {
+    return { success: false, message: error };
+  }
+
+  const mapping = normaliseAttributeMapping(values.mapping);
+  const errors = validateAttributeMapping(mapping);
+  if (errors) {
+    return { success: false, message: Object.values(errors).join(", ") };
+  }
+
+  await saveAttributeMapping(session.shop, mapping);
+  return { success: true, message: "Variant attributes saved" };
+};
+
+export default function VariantAttributes() {
+  const { mapping } = useLoaderData();
+  const fetcher = useFetcher();
+  const reportFetcher = useFetcher();
+
+  const [rules, setRules] = useState(mapping);
+  const [bannerMessage, setBannerMessage] = useState("");
+  const [bannerStatus, setBannerStatus] = useState("info");
+
+  useEffect(() => {
+    if (fetcher.data?.message) {
+      setBannerMessage(fetcher.data.message);
+      setBannerStatus(fetcher.data.success ? "success" : "critical");
+    }
+  }, [fetcher.data]);
+
+  useEffect(() => {
+    if (reportFetcher.data?.message) {
+      setBannerMessage(reportFetcher.data.message);
+      setBannerStatus("critical");
+    }
+  }, [reportFetcher.data]);
+
+  const handleRuleChange = (index, field, value) => {
+    setRules((prev) => prev.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule)));
+  };
+  const handleAddRule = () =>
+    setRules((prev) => [...prev, { attribute: "karat", source: "option", name: "" }]);
+  const handleRemoveRule = (index) => setRules((prev) => prev.filter((_, i) => i !== index));
+
+  const handleSave = () => {
+    fetcher.submit({ mapping: JSON.stringify(rules) }, { method: "POST" });
+  };
+
+  // The report uses the saved mapping, so save changes before checking again
+  const handleCheck = () => {
+    reportFetcher.load("/app/attributes?action=report");
+  };
+
+  const report = reportFetcher.data?.report;
+  const checking = reportFetcher.state === "loading";
+  const debugLogs = reportFetcher.data?.debugLogs || [];
+
+  return (
+    <Page>
+      <TitleBar title="Variant attributes" />
+
+      <Layout>
+        <Layout.Section>
+          {bannerMessage && (
+            <Banner
+              title={bannerStatus === "success" ? "Success" : "Error"}
+              status={bannerStatus}
+            >
+              <p>{bannerMessage}</p>
+            </Banner>
+          )}
+        </Layout.Section>
+
+        {/* SECTION: Attribute mapping */}
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Text variant="headingMd">Where variants keep their metal, karat and colour</Text>
+              <Text variant="bodySm" color="subdued">
+                Each attribute is read from the first mapped variant option (e.g. "Metal
+                purity") or variant metafield in the "custom" namespace (e.g. "karat")
+                that has a value. Values are matched against the karat keys and colours
+                on the settings page. Anything not mapped, or whose value is not
+                recognised, is read from the variant title as before.
+              </Text>
+              {rules.map((rule, index) => (
+                <InlineStack key={index} gap="300" blockAlign="end">
+                  <Select
+                    label="Attribute"
+                    options={attributeOptions}
+                    value={rule.attribute}
+                    onChange={(value) => handleRuleChange(index, "attribute", value)}
+                  />
+                  <Select
+                    label="Read from"
+                    options={sourceOptions}
+                    value={rule.source}
+                    onChange={(value) => handleRuleChange(index, "source", value)}
+                  />
+                  <TextField
+                    label={rule.source === "metafield" ? "Metafield key" : "Option name"}
+                    value={rule.name}
+                    onChange={(value) => handleRuleChange(index, "name", value)}
+                    autoComplete="off"
+                  />
+                  <Button tone="critical" onClick={() => handleRemoveRule(index)}>
+                    Remove
+                  </Button>
+                </InlineStack>
+              ))}
+              <InlineStack gap="300">
+                <Button onClick={handleAddRule}>Add mapping</Button>
+                <Button
+                  variant="primary"
+                  onClick={handleSave}
+                  loading={fetcher.state === "submitting"}
+                >
+                  Save
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        {/* SECTION: Unclassified variants */}
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Text variant="headingMd">Unclassified variants</Text>
+              <Text variant="bodySm" color="subdued">
+                Variants in the product scope whose metal or karat cannot be worked out
+                with the saved mapping. Price runs skip them.
+              </Text>
+              <InlineStack>
+                <Button onClick={handleCheck} loading={checking}>
+                  Check variants
+                </Button>
+              </InlineStack>
+              {report && report.unclassified.length === 0 && (
+                <Text variant="bodyMd">
+                  All {report.checked} variants in the product scope can be classified.
+                </Text>
+              )}
+              {report && report.unclassified.length > 0 && (
+                <>
+                  <Text variant="bodyMd">
+                    {report.unclassified.length} of {report.checked} variants cannot be
+                    classified.
+                  </Text>
+                  <IndexTable
+                    resourceName={{ singular: "variant", plural: "variants" }}
+                    itemCount={report.unclassified.length}
+                    selectable={false}
+                    headings={[
+                      { title: "Product" },
+                      { title: "Variant" },
+                      { title: "Options" },
+                      { title: "Problem" },
+                    ]}
+                  >
+                    {report.unclassified.map((row, index) => (
+                      <IndexTable.Row id={row.id} key={row.id} position={index}>
+                        <IndexTable.Cell>{row.productTitle}</IndexTable.Cell>
+                        <IndexTable.Cell>{row.variantTitle}</IndexTable.Cell>
+                        <IndexTable.Cell>{row.options}</IndexTable.Cell>
+                        <IndexTable.Cell>{row.reason}</IndexTable.Cell>
+                      </IndexTable.Row>
+                    ))}
+                  </IndexTable>
+                </>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        {/* SECTION: Debug logs */}
+        {debugLogs.length > 0 && (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="100">
+                <Text variant="headingMd">Log</Text>
+                {debugLogs.map((line, index) => (
+                  <Text key={index} variant="bodySm">
+                    {line}
+                  </Text>
+                ))}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        )}
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,263 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  Button,
+  BlockStack,
+  InlineStack,
+  Banner,
+  Badge,
+  Checkbox,
+  ChoiceList,
+  IndexTable,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { createGraphqlClient } from "../graphql.server";
+import { getMetalRules } from "../models/metal-rules.server";
+import { getPricingConfig, updatePricingConfig } from "../models/pricing-config.server";
+import { getStoneRates } from "../models/stone-rate.server";
+import { getAttributeMapping } from "../models/variant-attributes.server";
+import { auditCatalogue } from "../pricing/audit.server";
+import { AUDIT_CHECKS, AUDIT_STATUSES } from "../pricing/audit-checks";
+import { fetchCatalogue } from "../pricing/catalogue.server";
+
+// Load whether runs skip flagged variants, or audit every product with the chosen
+// statuses using the shop's saved rules and rate table
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const { searchParams } = new URL(request.url);
+
+  if (searchParams.get("action") === "audit") {
+    const statuses = (searchParams.get("status")?.split(",") ?? Object.keys(AUDIT_STATUSES))
+      .filter((status) => AUDIT_STATUSES[status]);
+    if (!statuses.length) {
+      return { success: false, message: "Choose at least one product status to audit" };
+    }
+
+    const [{ karats, colours }, attributeMapping, stoneRates] = await Promise.all([
+      getMetalRules(session.shop),
+      getAttributeMapping(session.shop),
+      getStoneRates(session.shop),
+    ]);
+    // GraphQL retries are listed under the results
+    const debugLogs = [];
+    let products;
+    try {
+      products = await fetchCatalogue(
+        createGraphqlClient(admin, { log: (line) => debugLogs.push(line) }),
+        { statuses }
+      );
+    } catch (error) {
+      // A Response is an auth redirect, not a failed read
+      if (error instanceof Response) throw error;
+      return {
+        success: false,
+        message: `Could not audit the catalogue: ${error.message}`,
+        debugLogs,
+      };
+    }
+
+    return {
+      audit: auditCatalogue(products, { karats, colours, attributeMapping, stoneRates }),
+      debugLogs,
+    };
+  }
+
+  const config = await getPricingConfig(session.shop);
+  return { skipFlaggedVariants: config.skipFlaggedVariants };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  await updatePricingConfig(session.shop, {
+    skipFlaggedVariants: formData.get("skipFlaggedVariants") === "true",
+  });
+  return { success: true, message: "Audit settings saved" };
+};
+
+export default function CatalogueAudit() {
+  const { skipFlaggedVariants: savedSkipFlagged } = useLoaderData();
+  const fetcher = useFetcher();
+  const auditFetcher = useFetcher();
+
+  const [skipFlaggedVariants, setSkipFlaggedVariants] = useState(savedSkipFlagged);
+  const [statuses, setStatuses] = useState(Object.keys(AUDIT_STATUSES));
+  const [bannerMessage, setBannerMessage] = useState("");
+  const [bannerStatus, setBannerStatus] = useState("info");
+
+  useEffect(() => {
+    if (fetcher.data?.message) {
+      setBannerMessage(fetcher.data.message);
+      setBannerStatus(fetcher.data.success ? "success" : "critical");
+    }
+  }, [fetcher.data]);
+
+  useEffect(() => {
+    if (auditFetcher.data?.message) {
+      setBannerMessage(auditFetcher.data.message);
+      setBannerStatus("critical");
+    }
+  }, [auditFetcher.data]);
+
+  const handleSave = () => {
+    fetcher.submit({ skipFlaggedVariants: String(skipFlaggedVariants) }, { method: "POST" });
+  };
+
+  const handleAudit = () => {
+    auditFetcher.load(`/app/audit?action=audit&status=${statuses.join(",")}`);
+  };
+
+  const audit = auditFetcher.data?.audit;
+  const auditing = auditFetcher.state === "loading";
+  const debugLogs = auditFetcher.data?.debugLogs || [];
+
+  // Flagged variants per check, for the summary above the table
+  const checkCounts = Object.keys(AUDIT_CHECKS).map((check) => ({
+    check,
+    count: (audit?.flagged || []).filter((row) =>
+      row.issues.some((issue) => issue.check === check)
+    ).length,
+  }));
+
+  return (
+    <Page>
+      <TitleBar title="Catalogue audit" />
+
+      <Layout>
+        <Layout.Section>
+          {bannerMessage && (
+            <Banner
+              title={bannerStatus === "success" ? "Success" : "Error"}
+              status={bannerStatus}
+            >
+              <p>{bannerMessage}</p>
+            </Banner>
+          )}
+        </Layout.Section>
+
+        {/* SECTION: Price runs */}
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Text variant="headingMd">Price runs</Text>
+              <Checkbox
+                label="Do not write prices for flagged variants"
+                helpText="Previews and runs leave the prices of variants with any of the problems below as they are, instead of pricing a missing weight or unknown stone at zero. Each skipped variant is listed in the run's logs."
+                checked={skipFlaggedVariants}
+                onChange={setSkipFlaggedVariants}
+              />
+              <InlineStack>
+                <Button
+                  variant="primary"
+                  onClick={handleSave}
+                  loading={fetcher.state === "submitting"}
+                >
+                  Save
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        {/* SECTION: Audit results */}
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Text variant="headingMd">Catalogue health</Text>
+              <Text variant="bodySm" color="subdued">
+                Checks every variant of every product with the chosen statuses for a
+                missing, zero or unreadable weight, a wastage percentage that is not a
+                number, stones with no rate in the stone rate table and a metal or karat
+                that cannot be worked out. Uses the saved rate table and variant attribute
+                mapping.
+              </Text>
+              <ChoiceList
+                title="Product statuses"
+                allowMultiple
+                choices={Object.entries(AUDIT_STATUSES).map(([value, label]) => ({
+                  label,
+                  value,
+                }))}
+                selected={statuses}
+                onChange={setStatuses}
+              />
+              <InlineStack>
+                <Button onClick={handleAudit} loading={auditing}>
+                  Audit catalogue
+                </Button>
+              </InlineStack>
+              {audit && (
+                <>
+                  <Text variant="bodyMd">
+                    {audit.flagged.length} of {audit.checked} variants flagged.
+                  </Text>
+                  <InlineStack gap="200">
+                    {checkCounts.map(({ check, count }) => (
+                      <Badge key={check} tone={count ? "critical" : "success"}>
+                        {AUDIT_CHECKS[check]}: {count}
+                      </Badge>
+                    ))}
+                  </InlineStack>
+                </>
+              )}
+              {audit && audit.flagged.length > 0 && (
+                <IndexTable
+                  resourceName={{ singular: "variant", plural: "variants" }}
+                  itemCount={audit.flagged.length}
+                  selectable={false}
+                  headings={[
+                    { title: "Product" },
+                    { title: "Status" },
+                    { title: "Variant" },
+                    { title: "Problems" },
+                  ]}
+                >
+                  {audit.flagged.map((row, index) => (
+                    <IndexTable.Row id={row.variantId} key={row.variantId} position={index}>
+                      <IndexTable.Cell>{row.productTitle}</IndexTable.Cell>
+                      <IndexTable.Cell>
+                        {AUDIT_STATUSES[row.productStatus] || row.productStatus}
+                      </IndexTable.Cell>
+                      <IndexTable.Cell>{row.variantTitle}</IndexTable.Cell>
+                      <IndexTable.Cell>
+                        <BlockStack gap="100">
+                          {row.issues.map((issue, i) => (
+                            <Text key={i} variant="bodySm">
+                              {AUDIT_CHECKS[issue.check]}: {issue.message}
+                            </Text>
+                          ))}
+                        </BlockStack>
+                      </IndexTable.Cell>
+                    </IndexTable.Row>
+                  ))}
+                </IndexTable>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        {/* SECTION: Debug logs */}
+        {debugLogs.length > 0 && (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="100">
+                <Text variant="headingMd">Log</Text>
+                {debugLogs.map((line, index) => (
+                  <Text key={index} variant="bodySm">
+                    {line}
+                  </Text>
+                ))}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        )}
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,14 @@
+import { authenticate } from "../shopify.server";
+import { getCurrentBulkOperations } from "../pricing/bulk.server";
+
+// Resource route: the shop's current bulk query and mutation, polled while a run is in progress
+export const loader = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+
+  try {
+    return await getCurrentBulkOperations(admin);
+  } catch (error) {
+    console.error("Error fetching bulk operation status:", error);
+    return { error: error.message };
+  }
+};
@@ -0,0 +1,27 @@
+import { authenticate } from "../shopify.server";
+import { getPricingConfig } from "../models/pricing-config.server";
+import { recordRateSnapshot } from "../models/rate-snapshot.server";
+import { fetchGoldRate, fetchOtherMetalRates } from "../rates/provider.server";
+
+// Resource route: the current 24k rate per gram, and the silver and platinum rates,
+// fetched server-side so API keys stay out of the browser
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const config = await getPricingConfig(session.shop);
+
+  try {
+    const goldRate = await fetchGoldRate(config);
+    await recordRateSnapshot(session.shop, goldRate);
+
+    // Rates the provider could not quote are the saved ones, and are not snapshotted
+    const metalRates = await fetchOtherMetalRates(config);
+    for (const metalRate of Object.values(metalRates)) {
+      if (!metalRate.error) await recordRateSnapshot(session.shop, metalRate);
+    }
+
+    return { goldRate, metalRates };
+  } catch (error) {
+    console.error("Error fetching gold price:", error);
+    return { error: error.message };
+  }
+};
@@ -0,0 +1,27 @@
+import { authenticate } from "../shopify.server";
+import {
+  getPriceRunProgress,
+  requestPriceRunCancel,
+} from "../models/price-run.server";
+
+// Resource route: progress of a queued or running price run, polled by the Index page
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  const progress = await getPriceRunProgress(session.shop, Number(params.id));
+  if (!progress) {
+    throw new Response("Price run not found", { status: 404 });
+  }
+
+  return progress;
+};
+
+// Cancel the run; prices already written stay written and can be reverted from Price history
+export const action = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  const cancelled = await requestPriceRunCancel(session.shop, Number(params.id));
+  return cancelled
+    ? { success: true, message: "Cancelling run..." }
+    : { success: false, message: "This run has already finished." };
+};
@@ -22,6 +22,10 @@ export default function App() {
         <Link to="/app" rel="home">
           Home
         </Link>
+        <Link to="/app/runs">Price history</Link>
+        <Link to="/app/attributes">Variant attributes</Link>
+        <Link to="/app/audit">Catalogue audit</Link>
+        <Link to="/app/settings">Settings</Link>
       </NavMenu>
       <Outlet />
     </AppProvider>
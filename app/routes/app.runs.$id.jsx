@@ -0,0 +1,267 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  Button,
+  BlockStack,
+  InlineStack,
+  Badge,
+  Banner,
+  IndexTable,
+} from "@shopify/polaris";
+import { Modal, TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { createGraphqlClient } from "../graphql.server";
+import {
+  appendPriceRunLogs,
+  describeUser,
+  getPriceRun,
+  markPriceRunReverted,
+} from "../models/price-run.server";
+import { restoreAppliedRate } from "../models/pricing-config.server";
+import { revertPriceRunChanges } from "../pricing/revert.server";
+import { formatAmount, formatDate, runStatusTones } from "../utils/format";
+import { METALS } from "../pricing/metals";
+import { describeStone, stoneRatesFromPrices } from "../pricing/stones";
+
+export const loader = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+
+  const run = await getPriceRun(session.shop, Number(params.id));
+  if (!run) {
+    throw new Response("Price run not found", { status: 404 });
+  }
+
+  return { run };
+};
+
+// ACTION: Restore every variant the run changed to its previous price and metafields, and
+// the shop's applied rate to the one from before the run
+export const action = async ({ request, params }) => {
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+
+  const run = await getPriceRun(session.shop, Number(params.id));
+  if (!run) {
+    throw new Response("Price run not found", { status: 404 });
+  }
+  if (run.revertedAt) {
+    return { success: false, message: "This run has already been reverted." };
+  }
+
+  // GraphQL retries while reverting are added to the run's log
+  const debugLogs = [];
+  try {
+    const { variantsReverted, errors } = await revertPriceRunChanges(
+      createGraphqlClient(admin, { log: (line) => debugLogs.push(line) }),
+      run.changes
+    );
+
+    if (errors.length > 0) {
+      return {
+        success: false,
+        message: `Reverted ${variantsReverted} variants with errors: ${errors.join(", ")}`,
+      };
+    }
+
+    await markPriceRunReverted(run.id, describeUser(session, sessionToken));
+    await restoreAppliedRate(session.shop, run);
+    return { success: true, message: `Reverted ${variantsReverted} variants.` };
+  } catch (error) {
+    return { success: false, message: `Revert error: ${error.message}` };
+  } finally {
+    await appendPriceRunLogs(run.id, debugLogs);
+  }
+};
+
+export default function PriceRun() {
+  const { run } = useLoaderData();
+  const fetcher = useFetcher();
+
+  const [bannerMessage, setBannerMessage] = useState("");
+  const [bannerStatus, setBannerStatus] = useState("info");
+
+  useEffect(() => {
+    if (fetcher.data?.message) {
+      setBannerMessage(fetcher.data.message);
+      setBannerStatus(fetcher.data.success ? "success" : "critical");
+    }
+  }, [fetcher.data]);
+
+  const handleRevert = () => {
+    shopify.modal.hide("revert-run-modal");
+    fetcher.submit({}, { method: "POST" });
+  };
+
+  return (
+    <Page backAction={{ content: "Price history", url: "/app/runs" }}>
+      <TitleBar title={`Price run #${run.id}`} />
+
+      <Modal id="revert-run-modal">
+        <p style={{ padding: "1rem" }}>
+          {run.changes.length} variants will be set back to the price, compare-at price
+          and price breakup they had before this run.
+        </p>
+        <TitleBar title="Revert this run?">
+          <button variant="primary" tone="critical" onClick={handleRevert}>
+            Revert
+          </button>
+          <button onClick={() => shopify.modal.hide("revert-run-modal")}>Cancel</button>
+        </TitleBar>
+      </Modal>
+
+      <Layout>
+        <Layout.Section>
+          {bannerMessage && (
+            <Banner
+              title={bannerStatus === "success" ? "Success" : "Error"}
+              status={bannerStatus}
+            >
+              <p>{bannerMessage}</p>
+            </Banner>
+          )}
+        </Layout.Section>
+
+        {/* SECTION: Run parameters */}
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="300">
+              <InlineStack align="space-between" blockAlign="center">
+                <Text variant="headingMd">Parameters</Text>
+                {run.revertedAt ? (
+                  <Badge>reverted</Badge>
+                ) : (
+                  <Badge tone={runStatusTones[run.status]}>{run.status}</Badge>
+                )}
+              </InlineStack>
+              <Text>Started: {formatDate(run.startedAt)}</Text>
+              <Text>Finished: {formatDate(run.finishedAt)}</Text>
+              <Text>Triggered by: {run.triggeredBy}</Text>
+              <Text>
+                Gold rate (24k): {formatAmount(run.goldRate)}/g
+                {run.rateSnapshot &&
+                  ` (${run.rateSnapshot.source}, ${formatDate(run.rateSnapshot.fetchedAt)})`}
+              </Text>
+              {Object.entries(run.inputs.metalRates || {}).map(([metal, rate]) => (
+                <Text key={metal}>
+                  {METALS[metal]?.label || metal} rate: {formatAmount(rate)}/g
+                </Text>
+              ))}
+              <Text>Making charges: {formatAmount(run.makingCharges)}/g</Text>
+              <Text>
+                Karats:{" "}
+                {(run.inputs.karats || [])
+                  .map((karat) => `${karat.key} × ${karat.multiplier}`)
+                  .join(", ")}
+              </Text>
+              <Text>
+                Colours:{" "}
+                {(run.inputs.colours || [])
+                  // Runs from before silver and platinum stored plain gold colour names
+                  .map((colour) => (typeof colour === "string" ? colour : colour.name))
+                  .join(", ")}
+              </Text>
+              <Text>
+                Stone rates:{" "}
+                {(run.inputs.stoneRates || stoneRatesFromPrices(run.inputs.diamondPrices || {}))
+                  .map((row) => `${describeStone(row)} ${formatAmount(row.rate)}`)
+                  .join(", ")}
+              </Text>
+              <Text>
+                {run.productsChanged} products, {run.variantsChanged} variants changed,{" "}
+                {run.errorCount} errors
+              </Text>
+              {run.revertedAt && (
+                <Text>
+                  Reverted {formatDate(run.revertedAt)} by {run.revertedBy}
+                </Text>
+              )}
+              {!run.revertedAt && run.changes.length > 0 && (
+                <InlineStack>
+                  <Button
+                    tone="critical"
+                    onClick={() => shopify.modal.show("revert-run-modal")}
+                    loading={fetcher.state !== "idle"}
+                  >
+                    Revert this run
+                  </Button>
+                </InlineStack>
+              )}
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        {run.errors.length > 0 && (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="200">
+                <Text variant="headingMd">Errors</Text>
+                {run.errors.map((message, index) => (
+                  <Text key={index} color="critical">
+                    {message}
+                  </Text>
+                ))}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        )}
+
+        {/* SECTION: Per-variant changes */}
+        <Layout.Section>
+          <Card padding="0">
+            <IndexTable
+              resourceName={{ singular: "variant", plural: "variants" }}
+              itemCount={run.changes.length}
+              selectable={false}
+              headings={[
+                { title: "Product" },
+                { title: "Variant" },
+                { title: "Old price", alignment: "end" },
+                { title: "New price", alignment: "end" },
+                { title: "Old compare-at", alignment: "end" },
+                { title: "New compare-at", alignment: "end" },
+              ]}
+            >
+              {run.changes.map((change, index) => (
+                <IndexTable.Row id={String(change.id)} key={change.id} position={index}>
+                  <IndexTable.Cell>{change.productTitle || change.productId}</IndexTable.Cell>
+                  <IndexTable.Cell>{change.variantTitle || change.variantId}</IndexTable.Cell>
+                  <IndexTable.Cell>
+                    <Text alignment="end">{formatAmount(change.previousPrice)}</Text>
+                  </IndexTable.Cell>
+                  <IndexTable.Cell>
+                    <Text alignment="end">{formatAmount(change.newPrice)}</Text>
+                  </IndexTable.Cell>
+                  <IndexTable.Cell>
+                    <Text alignment="end">{formatAmount(change.previousCompareAtPrice)}</Text>
+                  </IndexTable.Cell>
+                  <IndexTable.Cell>
+                    <Text alignment="end">{formatAmount(change.newCompareAtPrice)}</Text>
+                  </IndexTable.Cell>
+                </IndexTable.Row>
+              ))}
+            </IndexTable>
+          </Card>
+        </Layout.Section>
+
+        {/* SECTION: Debug logs */}
+        {run.logs.length > 0 && (
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="100">
+                <Text variant="headingMd">Log</Text>
+                {run.logs.map((line, index) => (
+                  <Text key={index} variant="bodySm">
+                    {line}
+                  </Text>
+                ))}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        )}
+      </Layout>
+    </Page>
+  );
+}
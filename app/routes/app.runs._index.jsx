@@ -0,0 +1,108 @@
+import { useLoaderData, useNavigate } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  BlockStack,
+  Badge,
+  IndexTable,
+  EmptyState,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import { getPriceRuns } from "../models/price-run.server";
+import { formatAmount, formatDate, runStatusTones } from "../utils/format";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  return { runs: await getPriceRuns(session.shop) };
+};
+
+export default function PriceRuns() {
+  const { runs } = useLoaderData();
+  const navigate = useNavigate();
+
+  return (
+    <Page>
+      <TitleBar title="Price history" />
+
+      <Layout>
+        <Layout.Section>
+          <Card padding="0">
+            {runs.length === 0 ? (
+              <EmptyState
+                heading="No price updates yet"
+                image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+              >
+                <p>Every time prices are applied, the rates used are recorded here.</p>
+              </EmptyState>
+            ) : (
+              <IndexTable
+                resourceName={{ singular: "run", plural: "runs" }}
+                itemCount={runs.length}
+                selectable={false}
+                headings={[
+                  { title: "Started" },
+                  { title: "Triggered by" },
+                  { title: "Gold rate (24k)" },
+                  { title: "Making charges" },
+                  { title: "Karats" },
+                  { title: "Products", alignment: "end" },
+                  { title: "Variants", alignment: "end" },
+                  { title: "Errors", alignment: "end" },
+                  { title: "Status" },
+                ]}
+              >
+                {runs.map((run, index) => (
+                  <IndexTable.Row
+                    id={String(run.id)}
+                    key={run.id}
+                    position={index}
+                    onClick={() => navigate(`/app/runs/${run.id}`)}
+                  >
+                    <IndexTable.Cell>{formatDate(run.startedAt)}</IndexTable.Cell>
+                    <IndexTable.Cell>{run.triggeredBy}</IndexTable.Cell>
+                    <IndexTable.Cell>
+                      <BlockStack>
+                        <Text>{formatAmount(run.goldRate)}</Text>
+                        {run.rateSnapshot && (
+                          <Text variant="bodySm" color="subdued">
+                            {run.rateSnapshot.source}, {formatDate(run.rateSnapshot.fetchedAt)}
+                          </Text>
+                        )}
+                      </BlockStack>
+                    </IndexTable.Cell>
+                    <IndexTable.Cell>{formatAmount(run.makingCharges)}/g</IndexTable.Cell>
+                    <IndexTable.Cell>
+                      {(run.inputs.karats || [])
+                        .map((karat) => `${karat.key} × ${karat.multiplier}`)
+                        .join(", ")}
+                    </IndexTable.Cell>
+                    <IndexTable.Cell>
+                      <Text alignment="end">{run.productsChanged}</Text>
+                    </IndexTable.Cell>
+                    <IndexTable.Cell>
+                      <Text alignment="end">{run.variantsChanged}</Text>
+                    </IndexTable.Cell>
+                    <IndexTable.Cell>
+                      <Text alignment="end">{run.errorCount}</Text>
+                    </IndexTable.Cell>
+                    <IndexTable.Cell>
+                      {run.revertedAt ? (
+                        <Badge>reverted</Badge>
+                      ) : (
+                        <Badge tone={runStatusTones[run.status]}>{run.status}</Badge>
+                      )}
+                    </IndexTable.Cell>
+                  </IndexTable.Row>
+                ))}
+              </IndexTable>
+            )}
+          </Card>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
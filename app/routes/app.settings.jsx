@@ -0,0 +1,912 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "@remix-run/react";
+import {
+  Page,
+  Layout,
+  Text,
+  Card,
+  Button,
+  BlockStack,
+  InlineStack,
+  TextField,
+  Banner,
+  Checkbox,
+  Select,
+} from "@shopify/polaris";
+import { TitleBar } from "@shopify/app-bridge-react";
+import { authenticate } from "../shopify.server";
+import {
+  getMetalRules,
+  normaliseMetalRules,
+  saveMetalRules,
+  validateMetalRules,
+} from "../models/metal-rules.server";
+import {
+  getPricingConfig,
+  updatePricingConfig,
+  validateRateMarkup,
+  validateSchedule,
+  validateThreshold,
+} from "../models/pricing-config.server";
+import {
+  getScopeRules,
+  normaliseScopeRules,
+  saveScopeRules,
+  validateScopeRules,
+} from "../models/product-scope.server";
+import {
+  getDiscountRules,
+  normaliseDiscountRules,
+  saveDiscountRules,
+  validateDiscountRules,
+} from "../models/discount-rule.server";
+import { SCOPE_FIELDS } from "../pricing/scope-fields";
+import { DISCOUNT_TYPES } from "../pricing/discounts";
+import { METALS } from "../pricing/metals";
+import {
+  DEFAULT_FORMULA,
+  FORMULA_COMPONENTS,
+  MAKING_MODES,
+  normaliseFormula,
+  validateFormula,
+} from "../pricing/formula";
+import { TAXABLE_COMPONENTS, normaliseTaxRates, validateTaxRates } from "../pricing/tax";
+import { ROUNDING_STRATEGIES, normaliseRounding, validateRounding } from "../pricing/rounding";
+import { findCollectionId, resolveScopeCollections } from "../pricing/scope.server";
+import { runScheduledRepricing, scheduleShop } from "../scheduler.server";
+import { formatAmount, formatDate } from "../utils/format";
+import { parseJsonFields } from "../utils/form";
+
+const metalOptions = Object.entries(METALS).map(([value, { label }]) => ({ label, value }));
+
+// Empty inputs mean "not set"
+const parseOptionalFloat = (value) => (value === null || value === "" ? null : parseFloat(value));
+
+// Formula components with their numbers as strings, for the text fields
+const toFormulaInputs = (formula) =>
+  formula.map((component) =>
+    Object.fromEntries(
+      Object.entries(component).map(([key, value]) => [
+        key,
+        typeof value === "number" ? String(value) : value ?? "",
+      ])
+    )
+  );
+
+// A rounding rule with its numbers as strings, for the text fields
+const toRoundingInputs = (rule) => ({ ...rule, step: rule.step ? String(rule.step) : "" });
+
+// Strategy, amount and ending fields for one rounding rule
+function RoundingRuleFields({ rule, onChange }) {
+  return (
+    <>
+      <Select
+        label="Rounding"
+        options={Object.entries(ROUNDING_STRATEGIES).map(([value, label]) => ({
+          label,
+          value,
+        }))}
+        value={rule.strategy}
+        onChange={(value) => onChange("strategy", value)}
+      />
+      {(rule.strategy === "nearest" || rule.strategy === "up") && (
+        <TextField
+          label="Amount (₹)"
+          helpText="e.g. 1, 10 or 100"
+          value={rule.step}
+          onChange={(value) => onChange("step", value)}
+          autoComplete="off"
+          type="number"
+        />
+      )}
+      {rule.strategy === "ending" && (
+        <TextField
+          label="Ending"
+          helpText="e.g. 999 turns 83,417 into 83,999"
+          value={rule.ending}
+          onChange={(value) => onChange("ending", value)}
+          autoComplete="off"
+        />
+      )}
+    </>
+  );
+}
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  const [rules, config, scope, discounts] = await Promise.all([
+    getMetalRules(session.shop),
+    getPricingConfig(session.shop),
+    getScopeRules(session.shop),
+    getDiscountRules(session.shop),
+  ]);
+
+  return {
+    rules,
+    scope,
+    discounts,
+    formula: config.formula,
+    rounding: config.rounding,
+    tax: {
+      taxEnabled: config.taxEnabled,
+      taxInclusive: config.taxInclusive,
+      taxRates: config.taxRates,
+    },
+    rateMarkupPercent: config.rateMarkupPercent,
+    schedule: {
+      scheduleEnabled: config.scheduleEnabled,
+      scheduleCron: config.scheduleCron,
+      scheduleTimezone: config.scheduleTimezone,
+    },
+    threshold: {
+      thresholdEnabled: config.thresholdEnabled,
+      thresholdPercent: config.thresholdPercent,
+      thresholdAmount: config.thresholdAmount,
+      lastAppliedRate: config.lastAppliedRate,
+      lastAppliedAt: config.lastAppliedAt,
+    },
+  };
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+
+  // Run the scheduled job immediately, to check the schedule's settings work
+  if (formData.get("intent") === "runNow") {
+    try {
+      const { success, message } = await runScheduledRepricing(session.shop);
+      return { success, message };
+    } catch (error) {
+      return { success: false, message: `Scheduled run failed: ${error.message}` };
+    }
+  }
+
+  const { values, error } = parseJsonFields(formData, [
+    "karats",
+    "colours",
+    "scope",
+    "formula",
+    "taxRates",
+    "rounding",
+    "discounts",
+  ]);
+  if (error) {
+    return { success: false, message: error };
+  }
+
+  const rules = normaliseMetalRules({ karats: values.karats, colours: values.colours });
+
+  // Collection rules are stored with the collection's ID, looked up from the title given
+  const scope = await resolveScopeCollections(admin, normaliseScopeRules(values.scope));
+
+  const formula = normaliseFormula(values.formula);
+  const tax = {
+    taxEnabled: formData.get("taxEnabled") === "true",
+    taxInclusive: formData.get("taxInclusive") === "true",
+    taxRates: normaliseTaxRates(values.taxRates),
+  };
+
+  // Collection rounding rules are stored with the collection's ID too
+  const submittedRounding = normaliseRounding(values.rounding);
+  const rounding = {
+    ...submittedRounding,
+    collections: await Promise.all(
+      submittedRounding.collections.map(async (rule) => ({
+        ...rule,
+        collectionId: rule.title ? await findCollectionId(admin, rule.title) : null,
+      }))
+    ),
+  };
+
+  const discounts = normaliseDiscountRules(values.discounts);
+
+  const rateMarkupPercent = parseFloat(formData.get("rateMarkupPercent"));
+  const schedule = {
+    scheduleEnabled: formData.get("scheduleEnabled") === "true",
+    scheduleCron: String(formData.get("scheduleCron") || "").trim(),
+    scheduleTimezone: String(formData.get("scheduleTimezone") || "").trim(),
+  };
+  const threshold = {
+    thresholdEnabled: formData.get("thresholdEnabled") === "true",
+    thresholdPercent: parseOptionalFloat(formData.get("thresholdPercent")),
+    thresholdAmount: parseOptionalFloat(formData.get("thresholdAmount")),
+  };
+
+  const errors = {
+    ...validateMetalRules(rules),
+    ...validateScopeRules(scope),
+    ...validateFormula(formula),
+    ...validateTaxRates(tax.taxRates),
+    ...validateRounding(rounding),
+    ...validateDiscountRules(discounts),
+    ...validateRateMarkup(rateMarkupPercent),
+    ...validateSchedule(schedule),
+    ...validateThreshold(threshold),
+  };
+  if (Object.keys(errors).length) {
+    return { success: false, message: Object.values(errors).join(", ") };
+  }
+
+  await saveMetalRules(session.shop, rules);
+  await saveScopeRules(session.shop, scope);
+  await saveDiscountRules(session.shop, discounts);
+  await updatePricingConfig(session.shop, {
+    rateMarkupPercent,
+    formula: JSON.stringify(formula),
+    ...tax,
+    taxRates: JSON.stringify(tax.taxRates),
+    rounding: JSON.stringify(rounding),
+    ...schedule,
+    ...threshold,
+  });
+  scheduleShop(session.shop, schedule);
+  return { success: true, message: "Settings saved" };
+};
+
+export default function Settings() {
+  const {
+    rules,
+    scope,
+    discounts,
+    formula,
+    rounding,
+    tax,
+    rateMarkupPercent,
+    schedule,
+    threshold,
+  } = useLoaderData();
+  const fetcher = useFetcher();
+
+  const [karats, setKarats] = useState(
+    rules.karats.map((karat) => ({ ...karat, multiplier: String(karat.multiplier) }))
+  );
+  const [colours, setColours] = useState(rules.colours);
+  const [scopeRules, setScopeRules] = useState(scope);
+  const [components, setComponents] = useState(toFormulaInputs(formula));
+  const [taxEnabled, setTaxEnabled] = useState(tax.taxEnabled);
+  const [taxInclusive, setTaxInclusive] = useState(tax.taxInclusive);
+  const [taxRates, setTaxRates] = useState(
+    Object.fromEntries(Object.entries(tax.taxRates).map(([type, rate]) => [type, String(rate)]))
+  );
+  const [roundingDefault, setRoundingDefault] = useState(toRoundingInputs(rounding.default));
+  const [roundingCollections, setRoundingCollections] = useState(
+    rounding.collections.map(toRoundingInputs)
+  );
+  const [discountRules, setDiscountRules] = useState(
+    discounts.map((discount) => ({
+      ...discount,
+      value: String(discount.value),
+      startsOn: discount.startsOn || "",
+      endsOn: discount.endsOn || "",
+    }))
+  );
+  const [markupInput, setMarkupInput] = useState(String(rateMarkupPercent));
+  const [scheduleEnabled, setScheduleEnabled] = useState(schedule.scheduleEnabled);
+  const [scheduleCron, setScheduleCron] = useState(schedule.scheduleCron);
+  const [scheduleTimezone, setScheduleTimezone] = useState(schedule.scheduleTimezone);
+  const [thresholdEnabled, setThresholdEnabled] = useState(threshold.thresholdEnabled);
+  const [thresholdPercent, setThresholdPercent] = useState(
+    threshold.thresholdPercent === null ? "" : String(threshold.thresholdPercent)
+  );
+  const [thresholdAmount, setThresholdAmount] = useState(
+    threshold.thresholdAmount === null ? "" : String(threshold.thresholdAmount)
+  );
+
+  const [bannerMessage, setBannerMessage] = useState("");
+  const [bannerStatus, setBannerStatus] = useState("info");
+
+  useEffect(() => {
+    if (fetcher.data?.message) {
+      setBannerMessage(fetcher.data.message);
+      setBannerStatus(fetcher.data.success ? "success" : "critical");
+    }
+  }, [fetcher.data]);
+
+  const handleKaratChange = (index, field, value) => {
+    setKarats((prev) =>
+      prev.map((karat, i) => (i === index ? { ...karat, [field]: value } : karat))
+    );
+  };
+  const handleAddKarat = () =>
+    setKarats((prev) => [...prev, { metal: "gold", key: "", multiplier: "" }]);
+  const handleRemoveKarat = (index) =>
+    setKarats((prev) => prev.filter((_, i) => i !== index));
+
+  const handleColourChange = (index, field, value) => {
+    setColours((prev) =>
+      prev.map((colour, i) => (i === index ? { ...colour, [field]: value } : colour))
+    );
+  };
+  const handleAddColour = () => setColours((prev) => [...prev, { metal: "gold", name: "" }]);
+  const handleRemoveColour = (index) =>
+    setColours((prev) => prev.filter((_, i) => i !== index));
+
+  const handleScopeRuleChange = (index, field, value) => {
+    setScopeRules((prev) =>
+      prev.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule))
+    );
+  };
+  const handleAddScopeRule = () =>
+    setScopeRules((prev) => [...prev, { field: "collection", value: "", exclude: false }]);
+  const handleRemoveScopeRule = (index) =>
+    setScopeRules((prev) => prev.filter((_, i) => i !== index));
+
+  const handleComponentChange = (index, field, value) => {
+    setComponents((prev) =>
+      prev.map((component, i) => (i === index ? { ...component, [field]: value } : component))
+    );
+  };
+  const handleComponentTypeChange = (index, type) => {
+    const defaults = {
+      making: { mode: "per_gram", amount: "", useWastage: false },
+      fee: { label: "Hallmarking fee", amount: "" },
+      markup: { label: "", percent: "" },
+    };
+    setComponents((prev) =>
+      prev.map((component, i) => (i === index ? { type, ...defaults[type] } : component))
+    );
+  };
+  const handleMoveComponent = (index, offset) => {
+    setComponents((prev) => {
+      const next = [...prev];
+      [next[index], next[index + offset]] = [next[index + offset], next[index]];
+      return next;
+    });
+  };
+  const handleAddComponent = () =>
+    setComponents((prev) => [...prev, { type: "fee", label: "Hallmarking fee", amount: "" }]);
+  const handleRemoveComponent = (index) =>
+    setComponents((prev) => prev.filter((_, i) => i !== index));
+
+  const handleRoundingDefaultChange = (field, value) =>
+    setRoundingDefault((prev) => ({ ...prev, [field]: value }));
+  const handleRoundingCollectionChange = (index, field, value) => {
+    setRoundingCollections((prev) =>
+      prev.map((rule, i) => (i === index ? { ...rule, [field]: value } : rule))
+    );
+  };
+  const handleAddRoundingCollection = () =>
+    setRoundingCollections((prev) => [
+      ...prev,
+      { title: "", strategy: "ending", step: "", ending: "999" },
+    ]);
+  const handleRemoveRoundingCollection = (index) =>
+    setRoundingCollections((prev) => prev.filter((_, i) => i !== index));
+
+  const handleDiscountChange = (index, field, value) => {
+    setDiscountRules((prev) =>
+      prev.map((discount, i) => (i === index ? { ...discount, [field]: value } : discount))
+    );
+  };
+  const handleAddDiscount = () =>
+    setDiscountRules((prev) => [
+      ...prev,
+      { name: "", type: "making_percent", value: "", startsOn: "", endsOn: "" },
+    ]);
+  const handleRemoveDiscount = (index) =>
+    setDiscountRules((prev) => prev.filter((_, i) => i !== index));
+
+  const handleSave = () => {
+    fetcher.submit(
+      {
+        karats: JSON.stringify(karats),
+        colours: JSON.stringify(colours),
+        scope: JSON.stringify(scopeRules),
+        formula: JSON.stringify(components),
+        taxEnabled: String(taxEnabled),
+        taxInclusive: String(taxInclusive),
+        taxRates: JSON.stringify(taxRates),
+        rounding: JSON.stringify({
+          default: roundingDefault,
+          collections: roundingCollections,
+        }),
+        discounts: JSON.stringify(discountRules),
+        rateMarkupPercent: markupInput,
+        scheduleEnabled: String(scheduleEnabled),
+        scheduleCron,
+        scheduleTimezone,
+        thresholdEnabled: String(thresholdEnabled),
+        thresholdPercent,
+        thresholdAmount,
+      },
+      { method: "POST" }
+    );
+  };
+
+  const handleRunNow = () => {
+    fetcher.submit({ intent: "runNow" }, { method: "POST" });
+  };
+
+  return (
+    <Page>
+      <TitleBar title="Settings" />
+
+      <Layout>
+        <Layout.Section>
+          {bannerMessage && (
+            <Banner
+              title={bannerStatus === "success" ? "Success" : "Error"}
+              status={bannerStatus}
+            >
+              <p>{bannerMessage}</p>
+            </Banner>
+          )}
+        </Layout.Section>
+
+        {/* SECTION: Gold rate provider */}
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Text variant="headingMd">Gold rate</Text>
+              <TextField
+                label="Markup on market rate (%)"
+                helpText="Added to rates fetched from the configured provider. Manually entered rates are used as-is."
+                value={markupInput}
+                onChange={setMarkupInput}
+                autoComplete="off"
+                type="number"
+              />
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        {/* SECTION: Automatic repricing */}
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Text variant="headingMd">Automatic repricing</Text>
+              <Checkbox
+                label="Reprice the whole catalogue on a schedule"
+                helpText="Fetches the current rate from the provider and applies it with the saved making charges and stone rates. Runs appear in Price history."
+                checked={scheduleEnabled}
+                onChange={setScheduleEnabled}
+              />
+              <InlineStack gap="300">
+                <TextField
+                  label="Schedule (cron)"
+                  helpText="e.g. 30 10 * * * for every day at 10:30"
+                  value={scheduleCron}
+                  onChange={setScheduleCron}
+                  autoComplete="off"
+                  disabled={!scheduleEnabled}
+                />
+                <TextField
+                  label="Time zone"
+                  value={scheduleTimezone}
+                  onChange={setScheduleTimezone}
+                  autoComplete="off"
+                  disabled={!scheduleEnabled}
+                />
+              </InlineStack>
+              <Checkbox
+                label="Only write prices when the rate has moved"
+                helpText="Scheduled runs compare the fetched 24k rate with the last applied rate and are logged as skipped when the change is within both limits."
+                checked={thresholdEnabled}
+                onChange={setThresholdEnabled}
+                disabled={!scheduleEnabled}
+              />
+              <InlineStack gap="300">
+                <TextField
+                  label="More than (%)"
+                  value={thresholdPercent}
+                  onChange={setThresholdPercent}
+                  autoComplete="off"
+                  type="number"
+                  disabled={!scheduleEnabled || !thresholdEnabled}
+                />
+                <TextField
+                  label="Or more than (₹/g)"
+                  value={thresholdAmount}
+                  onChange={setThresholdAmount}
+                  autoComplete="off"
+                  type="number"
+                  disabled={!scheduleEnabled || !thresholdEnabled}
+                />
+              </InlineStack>
+              <Text variant="bodySm" color="subdued">
+                Last applied rate:{" "}
+                {threshold.lastAppliedRate
+                  ? `${formatAmount(threshold.lastAppliedRate)}/g on ${formatDate(threshold.lastAppliedAt)}`
+                  : "none yet"}
+              </Text>
+              <InlineStack>
+                <Button onClick={handleRunNow} loading={fetcher.state !== "idle"}>
+                  Run now
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        {/* SECTION: Price formula */}
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Text variant="headingMd">Price formula</Text>
+              <Text variant="bodySm" color="subdued">
+                Each step adds to the variant&apos;s price, in order. Markup applies to
+                the total of the steps above it. GST and rounding are set below and
+                apply after discounts.
+              </Text>
+              {components.map((component, index) => (
+                <InlineStack key={index} gap="300" blockAlign="end" wrap={false}>
+                  <Select
+                    label={`Step ${index + 1}`}
+                    options={Object.entries(FORMULA_COMPONENTS).map(([value, label]) => ({
+                      label,
+                      value,
+                    }))}
+                    value={component.type}
+                    onChange={(value) => handleComponentTypeChange(index, value)}
+                  />
+                  {component.type === "making" && (
+                    <>
+                      <Select
+                        label="Charged"
+                        options={Object.entries(MAKING_MODES).map(([value, label]) => ({
+                          label,
+                          value,
+                        }))}
+                        value={component.mode}
+                        onChange={(value) => handleComponentChange(index, "mode", value)}
+                      />
+                      <TextField
+                        label={component.mode === "percentage" ? "Percent" : "Amount (₹)"}
+                        helpText={
+                          component.mode === "per_gram"
+                            ? "Blank uses the making charges on the Home page"
+                            : undefined
+                        }
+                        value={component.amount}
+                        onChange={(value) => handleComponentChange(index, "amount", value)}
+                        autoComplete="off"
+                        type="number"
+                      />
+                      <Checkbox
+                        label="Use the variant's wastage % when set"
+                        checked={component.useWastage === true}
+                        onChange={(value) => handleComponentChange(index, "useWastage", value)}
+                      />
+                    </>
+                  )}
+                  {["fee", "markup"].includes(component.type) && (
+                    <TextField
+                      label="Label"
+                      value={component.label}
+                      onChange={(value) => handleComponentChange(index, "label", value)}
+                      autoComplete="off"
+                    />
+                  )}
+                  {component.type === "fee" && (
+                    <TextField
+                      label="Amount (₹)"
+                      value={component.amount}
+                      onChange={(value) => handleComponentChange(index, "amount", value)}
+                      autoComplete="off"
+                      type="number"
+                    />
+                  )}
+                  {component.type === "markup" && (
+                    <TextField
+                      label="Percent"
+                      value={component.percent}
+                      onChange={(value) => handleComponentChange(index, "percent", value)}
+                      autoComplete="off"
+                      type="number"
+                    />
+                  )}
+                  <Button
+                    onClick={() => handleMoveComponent(index, -1)}
+                    disabled={index === 0}
+                  >
+                    Up
+                  </Button>
+                  <Button
+                    onClick={() => handleMoveComponent(index, 1)}
+                    disabled={index === components.length - 1}
+                  >
+                    Down
+                  </Button>
+                  <Button tone="critical" onClick={() => handleRemoveComponent(index)}>
+                    Remove
+                  </Button>
+                </InlineStack>
+              ))}
+              <InlineStack gap="300">
+                <Button onClick={handleAddComponent}>Add step</Button>
+                <Button onClick={() => setComponents(toFormulaInputs(DEFAULT_FORMULA))}>
+                  Reset to default
+                </Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        {/* SECTION: GST */}
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Text variant="headingMd">GST</Text>
+              <Checkbox
+                label="Charge GST on each part of the price"
+                helpText="The tax on each variant is saved in the product's custom.tax_breakdown metafield."
+                checked={taxEnabled}
+                onChange={setTaxEnabled}
+              />
+              <Select
+                label="Shopify prices"
+                options={[
+                  { label: "Include GST", value: "inclusive" },
+                  { label: "Exclude GST (added at checkout)", value: "exclusive" },
+                ]}
+                value={taxInclusive ? "inclusive" : "exclusive"}
+                onChange={(value) => setTaxInclusive(value === "inclusive")}
+                disabled={!taxEnabled}
+              />
+              <InlineStack gap="300">
+                {Object.entries(TAXABLE_COMPONENTS).map(([type, label]) => (
+                  <TextField
+                    key={type}
+                    label={`${label} (%)`}
+                    value={taxRates[type]}
+                    onChange={(value) => setTaxRates((prev) => ({ ...prev, [type]: value }))}
+                    autoComplete="off"
+                    type="number"
+                    disabled={!taxEnabled}
+                  />
+                ))}
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        {/* SECTION: Price rounding */}
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Text variant="headingMd">Price rounding</Text>
+              <Text variant="bodySm" color="subdued">
+                Applied to the final price written to Shopify, after GST. Previews and
+                run logs still show the price before rounding.
+              </Text>
+              <InlineStack gap="300" blockAlign="end">
+                <RoundingRuleFields rule={roundingDefault} onChange={handleRoundingDefaultChange} />
+              </InlineStack>
+              <Text variant="bodySm" color="subdued">
+                Products in these collections are rounded differently. When a product is
+                in several, the first matching rule is used.
+              </Text>
+              {roundingCollections.map((rule, index) => (
+                <InlineStack key={index} gap="300" blockAlign="end">
+                  <TextField
+                    label="Collection title"
+                    value={rule.title}
+                    onChange={(value) => handleRoundingCollectionChange(index, "title", value)}
+                    autoComplete="off"
+                  />
+                  <RoundingRuleFields
+                    rule={rule}
+                    onChange={(field, value) =>
+                      handleRoundingCollectionChange(index, field, value)
+                    }
+                  />
+                  <Button
+                    tone="critical"
+                    onClick={() => handleRemoveRoundingCollection(index)}
+                  >
+                    Remove
+                  </Button>
+                </InlineStack>
+              ))}
+              <InlineStack>
+                <Button onClick={handleAddRoundingCollection}>Add collection rule</Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        {/* SECTION: Discounts */}
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Text variant="headingMd">Discounts</Text>
+              <Text variant="bodySm" color="subdued">
+                While a discount is running, the price is discounted and the compare-at
+                price shows the full price. Dates are inclusive, in the schedule&apos;s
+                time zone; once a discount ends the next run writes the full price again.
+              </Text>
+              {discountRules.map((discount, index) => (
+                <InlineStack key={index} gap="300" blockAlign="end">
+                  <TextField
+                    label="Name"
+                    value={discount.name}
+                    onChange={(value) => handleDiscountChange(index, "name", value)}
+                    autoComplete="off"
+                  />
+                  <Select
+                    label="Discount"
+                    options={Object.entries(DISCOUNT_TYPES).map(([value, label]) => ({
+                      label,
+                      value,
+                    }))}
+                    value={discount.type}
+                    onChange={(value) => handleDiscountChange(index, "type", value)}
+                  />
+                  <TextField
+                    label={discount.type === "flat" ? "Amount (₹)" : "Percent"}
+                    value={discount.value}
+                    onChange={(value) => handleDiscountChange(index, "value", value)}
+                    autoComplete="off"
+                    type="number"
+                  />
+                  <TextField
+                    label="Starts"
+                    value={discount.startsOn}
+                    onChange={(value) => handleDiscountChange(index, "startsOn", value)}
+                    autoComplete="off"
+                    type="date"
+                  />
+                  <TextField
+                    label="Ends"
+                    value={discount.endsOn}
+                    onChange={(value) => handleDiscountChange(index, "endsOn", value)}
+                    autoComplete="off"
+                    type="date"
+                  />
+                  <Button tone="critical" onClick={() => handleRemoveDiscount(index)}>
+                    Remove
+                  </Button>
+                </InlineStack>
+              ))}
+              <InlineStack>
+                <Button onClick={handleAddDiscount}>Add discount</Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        {/* SECTION: Product scope */}
+        <Layout.Section>
+          <Card>
+            <BlockStack gap="400">
+              <Text variant="headingMd">Product scope</Text>
+              <Text variant="bodySm" color="subdued">
+                Limit repricing to matching products, e.g. only the collection
+                "Bridal", or everything except the tag "fixed-price". With several
+                "only" rules for the same field a product must match one of them; with
+                no rules every active product is repriced.
+              </Text>
+              {scopeRules.map((rule, index) => (
+                <InlineStack key={index} gap="300" blockAlign="end">
+                  <Select
+                    label="Rule"
+                    options={[
+                      { label: "Only", value: "include" },
+                      { label: "Exclude", value: "exclude" },
+                    ]}
+                    value={rule.exclude ? "exclude" : "include"}
+                    onChange={(value) =>
+                      handleScopeRuleChange(index, "exclude", value === "exclude")
+                    }
+                  />
+                  <Select
+                    label="Field"
+                    options={Object.entries(SCOPE_FIELDS).map(([value, label]) => ({
+                      label,
+                      value,
+                    }))}
+                    value={rule.field}
+                    onChange={(value) => handleScopeRuleChange(index, "field", value)}
+                  />
+                  <TextField
+                    label={rule.field === "collection" ? "Collection title" : "Value"}
+                    value={rule.value}
+                    onChange={(value) => handleScopeRuleChange(index, "value", value)}
+                    autoComplete="off"
+                  />
+                  <Button tone="critical" onClick={() => handleRemoveScopeRule(index)}>
+                    Remove
+                  </Button>
+                </InlineStack>
+              ))}
+              <InlineStack>
+                <Button onClick={handleAddScopeRule}>Add rule</Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        {/* SECTION: Karat purity table */}
+        <Layout.Section variant="oneHalf">
+          <Card>
+            <BlockStack gap="400">
+              <Text variant="headingMd">Karat purity</Text>
+              <Text variant="bodySm" color="subdued">
+                The key is matched against the titles of variants of that metal (e.g.
+                "18k" or "925") and the multiplier is applied to the pure metal rate.
+              </Text>
+              {karats.map((karat, index) => (
+                <InlineStack key={index} gap="300" blockAlign="end">
+                  <Select
+                    label="Metal"
+                    options={metalOptions}
+                    value={karat.metal}
+                    onChange={(value) => handleKaratChange(index, "metal", value)}
+                  />
+                  <TextField
+                    label="Key"
+                    value={karat.key}
+                    onChange={(value) => handleKaratChange(index, "key", value)}
+                    autoComplete="off"
+                  />
+                  <TextField
+                    label="Multiplier"
+                    value={karat.multiplier}
+                    onChange={(value) => handleKaratChange(index, "multiplier", value)}
+                    autoComplete="off"
+                    type="number"
+                  />
+                  <Button tone="critical" onClick={() => handleRemoveKarat(index)}>
+                    Remove
+                  </Button>
+                </InlineStack>
+              ))}
+              <InlineStack>
+                <Button onClick={handleAddKarat}>Add karat</Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        {/* SECTION: Recognised metal colours */}
+        <Layout.Section variant="oneHalf">
+          <Card>
+            <BlockStack gap="400">
+              <Text variant="headingMd">Metal colours</Text>
+              <Text variant="bodySm" color="subdued">
+                Only variants whose title contains one of these words are repriced, at
+                the rate of the word&apos;s metal.
+              </Text>
+              {colours.map((colour, index) => (
+                <InlineStack key={index} gap="300" blockAlign="end">
+                  <Select
+                    label="Metal"
+                    options={metalOptions}
+                    value={colour.metal}
+                    onChange={(value) => handleColourChange(index, "metal", value)}
+                  />
+                  <TextField
+                    label="Colour"
+                    value={colour.name}
+                    onChange={(value) => handleColourChange(index, "name", value)}
+                    autoComplete="off"
+                  />
+                  <Button tone="critical" onClick={() => handleRemoveColour(index)}>
+                    Remove
+                  </Button>
+                </InlineStack>
+              ))}
+              <InlineStack>
+                <Button onClick={handleAddColour}>Add colour</Button>
+              </InlineStack>
+            </BlockStack>
+          </Card>
+        </Layout.Section>
+
+        <Layout.Section>
+          <InlineStack align="end">
+            <Button
+              variant="primary"
+              onClick={handleSave}
+              loading={fetcher.state !== "idle"}
+            >
+              Save
+            </Button>
+          </InlineStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
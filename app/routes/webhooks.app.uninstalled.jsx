@@ -1,5 +1,6 @@
 import { authenticate } from "../shopify.server";
 import db from "../db.server";
+import { scheduleShop } from "../scheduler.server";
 
 export const action = async ({ request }) => {
   const { shop, session, topic } = await authenticate.webhook(request);
@@ -12,5 +13,12 @@ export const action = async ({ request }) => {
     await db.session.deleteMany({ where: { shop } });
   }
 
+  // Without an offline session, scheduled repricing can no longer run
+  await db.pricingConfig.updateMany({
+    where: { shop },
+    data: { scheduleEnabled: false },
+  });
+  scheduleShop(shop, { scheduleEnabled: false });
+
   return new Response();
 };
@@ -0,0 +1,153 @@
+import cron from "node-cron";
+import { getMetalRules } from "./models/metal-rules.server";
+import {
+  getPricingConfig,
+  getScheduledConfigs,
+  getTaxSettings,
+} from "./models/pricing-config.server";
+import { enqueuePriceRun, recordSkippedRun } from "./models/price-run.server";
+import { getScopeRules } from "./models/product-scope.server";
+import { getAttributeMapping } from "./models/variant-attributes.server";
+import { getStoneRates } from "./models/stone-rate.server";
+import { getDiscountRules } from "./models/discount-rule.server";
+import { recordRateSnapshot } from "./models/rate-snapshot.server";
+import { checkRateThreshold } from "./pricing/threshold.server";
+import { findDiscountChange, todayIn } from "./pricing/discounts";
+import { fetchGoldRate, fetchOtherMetalRates } from "./rates/provider.server";
+
+// One cron task per shop. Kept on `global` so dev reloads don't register duplicates.
+if (!global.repricingTasks) {
+  global.repricingTasks = new Map();
+}
+const tasks = global.repricingTasks;
+
+/**
+ * Fetch the current rate and queue a run repricing the whole product scope; the worker
+ * processes it with the shop's offline session. When the shop has a rate-change
+ * threshold and the rate has not moved past it, the run is logged as skipped instead,
+ * unless a discount has started or ended since prices were last written.
+ * @param {string} shop The myshopify.com domain
+ */
+export async function runScheduledRepricing(shop) {
+  const config = await getPricingConfig(shop);
+  const { karats, colours } = await getMetalRules(shop);
+  const attributeMapping = await getAttributeMapping(shop);
+  const stoneRates = await getStoneRates(shop);
+  const scope = await getScopeRules(shop);
+  const discounts = await getDiscountRules(shop);
+
+  const goldRate = await fetchGoldRate(config);
+  const rateSnapshot = await recordRateSnapshot(shop, goldRate);
+
+  // Silver and platinum the provider cannot quote are priced at the saved rates, which the
+  // run's logs say
+  const otherRates = await fetchOtherMetalRates(config);
+  const rateLogs = [];
+  for (const metalRate of Object.values(otherRates)) {
+    if (metalRate.error) {
+      rateLogs.push(`Using the saved ${metalRate.metal} rate: ${metalRate.error}`);
+    } else {
+      await recordRateSnapshot(shop, metalRate);
+    }
+  }
+
+  const inputs = {
+    metalRates: Object.fromEntries(
+      Object.values(otherRates).map(({ metal, rate }) => [metal, rate])
+    ),
+    stoneRates,
+    karats,
+    colours,
+    attributeMapping,
+    formula: config.formula,
+    tax: getTaxSettings(config),
+    rounding: config.rounding,
+    discounts,
+    timeZone: config.scheduleTimezone,
+    skipFlaggedVariants: config.skipFlaggedVariants,
+    scope,
+  };
+
+  const threshold = checkRateThreshold(config, goldRate.rate);
+  const discountChange = findDiscountChange(
+    discounts,
+    config.lastAppliedAt && todayIn(config.scheduleTimezone, config.lastAppliedAt),
+    todayIn(config.scheduleTimezone)
+  );
+  const shouldRun = threshold.shouldRun || Boolean(discountChange);
+  const reason = threshold.shouldRun || !discountChange ? threshold.reason : discountChange;
+  if (!shouldRun) {
+    const run = await recordSkippedRun(shop, {
+      triggeredBy: "Scheduler",
+      goldRate: goldRate.rate,
+      makingCharges: config.makingCharges,
+      inputs,
+      rateSnapshotId: rateSnapshot.id,
+      reason,
+      logs: rateLogs,
+    });
+    return {
+      runId: run.id,
+      success: true,
+      message: `Skipped: ${reason}`,
+      debugLogs: [reason, ...rateLogs],
+    };
+  }
+
+  const run = await enqueuePriceRun(shop, {
+    triggeredBy: "Scheduler",
+    goldRate: goldRate.rate,
+    makingCharges: config.makingCharges,
+    inputs,
+    rateSnapshotId: rateSnapshot.id,
+    logs: rateLogs,
+  });
+
+  return {
+    runId: run.id,
+    success: true,
+    message: `Run queued: ${reason}`,
+    debugLogs: [reason, ...rateLogs],
+  };
+}
+
+/**
+ * Register, replace or remove the cron task for a shop to match its config.
+ */
+export function scheduleShop(shop, { scheduleEnabled, scheduleCron, scheduleTimezone }) {
+  const existing = tasks.get(shop);
+  if (existing) {
+    existing.stop();
+    tasks.delete(shop);
+  }
+
+  if (!scheduleEnabled || process.env.DISABLE_SCHEDULER === "true") return;
+
+  const task = cron.schedule(
+    scheduleCron,
+    async () => {
+      try {
+        const { runId, message } = await runScheduledRepricing(shop);
+        console.log(`Scheduled repricing for ${shop} (run ${runId}): ${message}`);
+      } catch (error) {
+        console.error(`Scheduled repricing for ${shop} failed:`, error);
+      }
+    },
+    { name: `reprice:${shop}`, timezone: scheduleTimezone, noOverlap: true }
+  );
+  tasks.set(shop, task);
+}
+
+/**
+ * Register tasks for every shop with automatic repricing turned on. Runs once per process;
+ * set DISABLE_SCHEDULER=true on all but one instance when running several.
+ */
+export async function startScheduler() {
+  if (global.repricingSchedulerStarted || process.env.DISABLE_SCHEDULER === "true") return;
+  global.repricingSchedulerStarted = true;
+
+  const configs = await getScheduledConfigs();
+  for (const config of configs) {
+    scheduleShop(config.shop, { scheduleEnabled: true, ...config });
+  }
+}
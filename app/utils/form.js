@@ -0,0 +1,26 @@
+// Reading the JSON fields the admin pages submit from their row editors
+
+/**
+ * Parse form fields that hold JSON.
+ * @param {FormData} formData
+ * @param {Array<string>} names The fields to parse
+ * @returns {{ values: Record<string, any>, error: string|null }} `error` says which field
+ *   was missing or could not be parsed; `values` is incomplete then
+ */
+export function parseJsonFields(formData, names) {
+  const values = {};
+
+  for (const name of names) {
+    const value = formData.get(name);
+    if (value === null || value === "") {
+      return { values, error: `The form was submitted without ${name}` };
+    }
+    try {
+      values[name] = JSON.parse(value);
+    } catch (e) {
+      return { values, error: `The submitted ${name} could not be read` };
+    }
+  }
+
+  return { values, error: null };
+}
@@ -0,0 +1,21 @@
+// Display helpers shared by the admin pages
+
+export const formatAmount = (value) =>
+  value === null || value === undefined || value === ""
+    ? "N/A"
+    : `₹${parseFloat(value).toLocaleString("en-IN", {
+        maximumFractionDigits: 2,
+        minimumFractionDigits: 2,
+      })}`;
+
+export const formatDate = (value) => (value ? new Date(value).toLocaleString("en-IN") : "—");
+
+// Badge tones for PriceRun.status
+export const runStatusTones = {
+  success: "success",
+  failed: "critical",
+  queued: "info",
+  running: "info",
+  skipped: "attention",
+  cancelled: "warning",
+};
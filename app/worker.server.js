@@ -0,0 +1,110 @@
+import { unauthenticated } from "./shopify.server";
+import { createGraphqlClient } from "./graphql.server";
+import { getPriceOverrides } from "./models/price-override.server";
+import {
+  claimNextPriceRun,
+  failInterruptedPriceRuns,
+  finishPriceRun,
+  isPriceRunCancelRequested,
+} from "./models/price-run.server";
+import { fetchCatalogue, fetchProductsByIds } from "./pricing/catalogue.server";
+import { runRepricing } from "./pricing/pipeline.server";
+
+// How often the worker looks for queued runs
+const POLL_INTERVAL_MS = 5000;
+
+// Runs are not waited on by anyone, so they wait longer than pages do for another bulk
+// query on the shop (e.g. the catalogue audit) to finish
+const CATALOGUE_WAIT_MS = 10 * 60 * 1000;
+
+/**
+ * Process one queued run: re-read its products from Shopify with the shop's offline
+ * session, then reprice them. Runs without `productIds` cover every product in the
+ * shop's scope as it was when the run was queued.
+ * @param {object} run A PriceRun claimed with claimNextPriceRun()
+ */
+export async function processPriceRun(run) {
+  // Everything else in the inputs (silver and platinum rates, stone rates, karats,
+  // colours, attribute mapping, formula, tax, rounding, discounts, the shop's time zone
+  // and whether to skip variants the catalogue audit flags) is pricing
+  const { selectedVariantIds, productIds, scope = [], ...pricing } = run.inputs;
+
+  // GraphQL retries are recorded alongside the run's pricing logs, after anything logged
+  // when the run was queued
+  const debugLogs = [...run.logs];
+
+  let client;
+  let products;
+  try {
+    const { admin } = await unauthenticated.admin(run.shop);
+    client = createGraphqlClient(admin, { log: (line) => debugLogs.push(line) });
+    products = productIds
+      ? await fetchProductsByIds(client, productIds)
+      : await fetchCatalogue(client, { scope, maxWaitMs: CATALOGUE_WAIT_MS });
+  } catch (error) {
+    // Nothing has been written yet
+    await finishPriceRun(run.id, {
+      productsChanged: 0,
+      variantsChanged: 0,
+      errors: [error.message],
+      logs: [...debugLogs, `Could not load products: ${error.message}`],
+    });
+    return;
+  }
+
+  if (await isPriceRunCancelRequested(run.id)) {
+    await finishPriceRun(run.id, {
+      productsChanged: 0,
+      variantsChanged: 0,
+      errors: [],
+      logs: [...debugLogs, "Cancelled before any prices were written"],
+      cancelled: true,
+    });
+    return;
+  }
+
+  // Locks are read as the run starts, so pieces locked while it was queued are still skipped
+  const overrides = await getPriceOverrides(run.shop);
+
+  await runRepricing({
+    admin: client,
+    run,
+    products,
+    rates: { goldRate: run.goldRate, makingCharges: run.makingCharges, ...pricing },
+    selectedVariantIds: selectedVariantIds ? new Set(selectedVariantIds) : null,
+    scope,
+    overrides,
+    debugLogs,
+  });
+}
+
+/**
+ * Work through the queue until it is empty, one run at a time so a shop never has
+ * two bulk operations competing.
+ */
+async function drainQueue() {
+  if (global.priceRunWorkerBusy) return;
+  global.priceRunWorkerBusy = true;
+
+  try {
+    for (let run = await claimNextPriceRun(); run; run = await claimNextPriceRun()) {
+      await processPriceRun(run);
+    }
+  } catch (error) {
+    console.error("Price run worker failed:", error);
+  } finally {
+    global.priceRunWorkerBusy = false;
+  }
+}
+
+/**
+ * Start polling the queue. Runs once per process; set DISABLE_WORKER=true on all but
+ * one instance when running several.
+ */
+export async function startWorker() {
+  if (global.priceRunWorkerStarted || process.env.DISABLE_WORKER === "true") return;
+  global.priceRunWorkerStarted = true;
+
+  await failInterruptedPriceRuns();
+  setInterval(drainQueue, POLL_INTERVAL_MS);
+}
@@ -0,0 +1,30 @@
+// Show the breakup of the variant selected on the product page. Themes keep the
+// selected variant in the product form's "id" input and the ?variant= URL parameter,
+// and fire a change event when the picker changes it.
+(function () {
+  function selectedVariantId() {
+    var input = document.querySelector('form[action*="/cart/add"] [name="id"]');
+    if (input && input.value) return input.value;
+    return new URLSearchParams(window.location.search).get('variant');
+  }
+
+  function showSelectedVariant() {
+    var variantId = selectedVariantId();
+    if (!variantId) return;
+
+    document.querySelectorAll('[data-price-breakup]').forEach(function (container) {
+      var tables = container.querySelectorAll('[data-variant-id]');
+      var match = container.querySelector('[data-variant-id="' + variantId + '"]');
+      tables.forEach(function (table) {
+        table.hidden = table !== match;
+      });
+    });
+  }
+
+  document.addEventListener('change', function () {
+    // Let the theme update the form's variant input first
+    setTimeout(showSelectedVariant, 0);
+  });
+  window.addEventListener('popstate', showSelectedVariant);
+  showSelectedVariant();
+})();
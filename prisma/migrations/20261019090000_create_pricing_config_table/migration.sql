@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "PricingConfig" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "goldRate" REAL NOT NULL DEFAULT 10500,
+    "makingCharges" REAL NOT NULL DEFAULT 1500,
+    "diamondPrices" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PricingConfig_shop_key" ON "PricingConfig"("shop");
@@ -0,0 +1,20 @@
+-- CreateTable
+CREATE TABLE "KaratPurity" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "key" TEXT NOT NULL,
+    "multiplier" REAL NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "MetalColour" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "KaratPurity_shop_key_key" ON "KaratPurity"("shop", "key");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "MetalColour_shop_name_key" ON "MetalColour"("shop", "name");
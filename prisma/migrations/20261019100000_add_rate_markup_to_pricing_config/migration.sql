@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "PricingConfig" ADD COLUMN "rateMarkupPercent" REAL NOT NULL DEFAULT 5;
@@ -0,0 +1,37 @@
+-- CreateTable
+CREATE TABLE "RateSnapshot" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "rate" REAL NOT NULL,
+    "marketRate" REAL,
+    "markupPercent" REAL NOT NULL DEFAULT 0,
+    "source" TEXT NOT NULL,
+    "fetchedAt" DATETIME NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "PriceRun" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "triggeredBy" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'running',
+    "goldRate" REAL NOT NULL,
+    "makingCharges" REAL NOT NULL,
+    "inputs" TEXT NOT NULL,
+    "rateSnapshotId" INTEGER,
+    "productsChanged" INTEGER NOT NULL DEFAULT 0,
+    "variantsChanged" INTEGER NOT NULL DEFAULT 0,
+    "errorCount" INTEGER NOT NULL DEFAULT 0,
+    "errors" TEXT,
+    "logs" TEXT,
+    "startedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" DATETIME,
+    CONSTRAINT "PriceRun_rateSnapshotId_fkey" FOREIGN KEY ("rateSnapshotId") REFERENCES "RateSnapshot" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "RateSnapshot_shop_createdAt_idx" ON "RateSnapshot"("shop", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "PriceRun_shop_startedAt_idx" ON "PriceRun"("shop", "startedAt");
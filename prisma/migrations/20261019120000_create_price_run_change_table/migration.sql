@@ -0,0 +1,21 @@
+-- AlterTable
+ALTER TABLE "PriceRun" ADD COLUMN "revertedAt" DATETIME;
+ALTER TABLE "PriceRun" ADD COLUMN "revertedBy" TEXT;
+
+-- CreateTable
+CREATE TABLE "PriceRunChange" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "runId" INTEGER NOT NULL,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "productTitle" TEXT,
+    "variantTitle" TEXT,
+    "previousPrice" TEXT,
+    "previousCompareAtPrice" TEXT,
+    "newPrice" TEXT NOT NULL,
+    "newCompareAtPrice" TEXT,
+    CONSTRAINT "PriceRunChange_runId_fkey" FOREIGN KEY ("runId") REFERENCES "PriceRun" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "PriceRunChange_runId_idx" ON "PriceRunChange"("runId");
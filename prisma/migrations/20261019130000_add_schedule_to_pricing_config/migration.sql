@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "PricingConfig" ADD COLUMN "scheduleEnabled" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "PricingConfig" ADD COLUMN "scheduleCron" TEXT NOT NULL DEFAULT '30 10 * * *';
+ALTER TABLE "PricingConfig" ADD COLUMN "scheduleTimezone" TEXT NOT NULL DEFAULT 'Asia/Kolkata';
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "PricingConfig" ADD COLUMN "thresholdEnabled" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "PricingConfig" ADD COLUMN "thresholdPercent" REAL;
+ALTER TABLE "PricingConfig" ADD COLUMN "thresholdAmount" REAL;
+ALTER TABLE "PricingConfig" ADD COLUMN "lastAppliedRate" REAL;
+ALTER TABLE "PricingConfig" ADD COLUMN "lastAppliedAt" DATETIME;
@@ -0,0 +1,34 @@
+-- RedefineTables
+PRAGMA defer_foreign_keys=ON;
+PRAGMA foreign_keys=OFF;
+CREATE TABLE "new_PriceRun" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "triggeredBy" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'queued',
+    "goldRate" REAL NOT NULL,
+    "makingCharges" REAL NOT NULL,
+    "inputs" TEXT NOT NULL,
+    "rateSnapshotId" INTEGER,
+    "productsChanged" INTEGER NOT NULL DEFAULT 0,
+    "variantsChanged" INTEGER NOT NULL DEFAULT 0,
+    "errorCount" INTEGER NOT NULL DEFAULT 0,
+    "totalCount" INTEGER,
+    "processedCount" INTEGER NOT NULL DEFAULT 0,
+    "failedCount" INTEGER NOT NULL DEFAULT 0,
+    "cancelRequested" BOOLEAN NOT NULL DEFAULT false,
+    "errors" TEXT,
+    "logs" TEXT,
+    "startedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "finishedAt" DATETIME,
+    "revertedAt" DATETIME,
+    "revertedBy" TEXT,
+    CONSTRAINT "PriceRun_rateSnapshotId_fkey" FOREIGN KEY ("rateSnapshotId") REFERENCES "RateSnapshot" ("id") ON DELETE SET NULL ON UPDATE CASCADE
+);
+INSERT INTO "new_PriceRun" ("id", "shop", "triggeredBy", "status", "goldRate", "makingCharges", "inputs", "rateSnapshotId", "productsChanged", "variantsChanged", "errorCount", "errors", "logs", "startedAt", "finishedAt", "revertedAt", "revertedBy") SELECT "id", "shop", "triggeredBy", "status", "goldRate", "makingCharges", "inputs", "rateSnapshotId", "productsChanged", "variantsChanged", "errorCount", "errors", "logs", "startedAt", "finishedAt", "revertedAt", "revertedBy" FROM "PriceRun";
+DROP TABLE "PriceRun";
+ALTER TABLE "new_PriceRun" RENAME TO "PriceRun";
+CREATE INDEX "PriceRun_shop_startedAt_idx" ON "PriceRun"("shop", "startedAt");
+CREATE INDEX "PriceRun_status_startedAt_idx" ON "PriceRun"("status", "startedAt");
+PRAGMA foreign_keys=ON;
+PRAGMA defer_foreign_keys=OFF;
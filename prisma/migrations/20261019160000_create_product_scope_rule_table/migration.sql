@@ -0,0 +1,12 @@
+-- CreateTable
+CREATE TABLE "ProductScopeRule" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "field" TEXT NOT NULL,
+    "value" TEXT NOT NULL,
+    "collectionId" TEXT,
+    "exclude" BOOLEAN NOT NULL DEFAULT false
+);
+
+-- CreateIndex
+CREATE INDEX "ProductScopeRule_shop_idx" ON "ProductScopeRule"("shop");
@@ -0,0 +1,14 @@
+-- CreateTable
+CREATE TABLE "PriceOverride" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL DEFAULT '',
+    "locked" BOOLEAN NOT NULL DEFAULT false,
+    "fixedPrice" REAL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "PriceOverride_shop_productId_variantId_key" ON "PriceOverride"("shop", "productId", "variantId");
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "PricingConfig" ADD COLUMN "taxEnabled" BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE "PricingConfig" ADD COLUMN "taxInclusive" BOOLEAN NOT NULL DEFAULT true;
+ALTER TABLE "PricingConfig" ADD COLUMN "taxRates" TEXT;
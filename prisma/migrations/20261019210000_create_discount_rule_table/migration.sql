@@ -0,0 +1,13 @@
+-- CreateTable
+CREATE TABLE "DiscountRule" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "value" REAL NOT NULL,
+    "startsOn" TEXT,
+    "endsOn" TEXT
+);
+
+-- CreateIndex
+CREATE INDEX "DiscountRule_shop_idx" ON "DiscountRule"("shop");
@@ -0,0 +1,18 @@
+-- AlterTable
+ALTER TABLE "PricingConfig" ADD COLUMN "silverRate" REAL NOT NULL DEFAULT 95;
+ALTER TABLE "PricingConfig" ADD COLUMN "platinumRate" REAL NOT NULL DEFAULT 3200;
+
+-- AlterTable
+ALTER TABLE "KaratPurity" ADD COLUMN "metal" TEXT NOT NULL DEFAULT 'gold';
+
+-- AlterTable
+ALTER TABLE "MetalColour" ADD COLUMN "metal" TEXT NOT NULL DEFAULT 'gold';
+
+-- AlterTable
+ALTER TABLE "RateSnapshot" ADD COLUMN "metal" TEXT NOT NULL DEFAULT 'gold';
+
+-- DropIndex
+DROP INDEX "KaratPurity_shop_key_key";
+
+-- CreateIndex
+CREATE UNIQUE INDEX "KaratPurity_shop_metal_key_key" ON "KaratPurity"("shop", "metal", "key");
@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "VariantAttributeRule" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "attribute" TEXT NOT NULL,
+    "source" TEXT NOT NULL,
+    "name" TEXT NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "VariantAttributeRule_shop_idx" ON "VariantAttributeRule"("shop");
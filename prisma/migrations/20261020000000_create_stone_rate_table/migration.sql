@@ -0,0 +1,21 @@
+-- CreateTable
+CREATE TABLE "StoneRate" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "type" TEXT NOT NULL,
+    "clarity" TEXT NOT NULL DEFAULT '',
+    "colour" TEXT NOT NULL DEFAULT '',
+    "rate" REAL NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "StoneRate_shop_idx" ON "StoneRate"("shop");
+
+-- Copy each shop's saved diamond prices into the rate table
+INSERT INTO "StoneRate" ("shop", "type", "rate")
+SELECT "PricingConfig"."shop", "prices"."key", CAST("prices"."value" AS REAL)
+FROM "PricingConfig",
+    json_each(CASE WHEN json_valid("PricingConfig"."diamondPrices") THEN "PricingConfig"."diamondPrices" ELSE '{}' END) AS "prices";
+
+-- AlterTable
+ALTER TABLE "PricingConfig" DROP COLUMN "diamondPrices";
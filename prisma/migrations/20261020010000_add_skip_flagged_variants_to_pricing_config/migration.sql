@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "PricingConfig" ADD COLUMN "skipFlaggedVariants" BOOLEAN NOT NULL DEFAULT false;
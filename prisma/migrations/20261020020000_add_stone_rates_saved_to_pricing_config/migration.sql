@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "PricingConfig" ADD COLUMN "stoneRatesSaved" BOOLEAN NOT NULL DEFAULT false;
+
+-- Shops with rows have saved a table, or had their diamond prices copied into it
+UPDATE "PricingConfig" SET "stoneRatesSaved" = true
+WHERE "shop" IN (SELECT DISTINCT "shop" FROM "StoneRate");
@@ -0,0 +1,5 @@
+-- AlterTable
+ALTER TABLE "PricingConfig" ADD COLUMN "manualRateUpdatedAt" DATETIME;
+
+-- The last save is the best guess at when the rates were entered
+UPDATE "PricingConfig" SET "manualRateUpdatedAt" = "updatedAt";
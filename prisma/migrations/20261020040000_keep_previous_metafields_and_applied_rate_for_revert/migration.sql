@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "PriceRun" ADD COLUMN "previousAppliedAt" DATETIME;
+ALTER TABLE "PriceRun" ADD COLUMN "previousAppliedRate" REAL;
+
+-- AlterTable
+ALTER TABLE "PriceRunChange" ADD COLUMN "previousMetafields" TEXT;
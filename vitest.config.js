@@ -0,0 +1,10 @@
+import { defineConfig } from "vitest/config";
+
+// Unit tests for the pricing modules; kept apart from vite.config.js so the Remix
+// plugin and the dev server settings are not loaded
+export default defineConfig({
+  test: {
+    include: ["app/**/*.test.js"],
+    environment: "node",
+  },
+});